@@ -22,8 +22,13 @@
  *  - "cloud_and_wave.js": This is also a Model part which takes charge of the clouds and wave motion in the game. Of course, it is also rendered by "view.js".
  *                         It is also gained by reverse engineering the original machine code.
  *  - "keyboard.js": Support the Controller("pikavolley.js") to get a user input via keyboard.
+ *  - "gamepad.js": Support the Controller("pikavolley.js") to get a user input via gamepad (game controller).
+ *  - "touch.js": Support the Controller("pikavolley.js") to get a user input via the on-screen touch controls.
  *  - "audio.js": The game audio or sounds. It depends on pixi-sound (https://github.com/pixijs/pixi-sound) library.
  *  - "rand.js": For the random function used in the Models ("physics.js", "cloud_and_wave.js").
+ *  - "replay.js": For recording the inputs of a match into a replay and playing back the replay by re-simulating the match.
+ *  - "simulation.js": For running the physics headlessly (without the View) e.g. in Node.
+ *  - "netplay.js": For the online match between two peers, exchanging the inputs with rollback.
  *  - "assets_path.js": For the assets (image files, sound files) locations.
  *  - "ui.js": For the user interface (menu bar, buttons etc.) of the html page.
  */
@@ -28,6 +28,19 @@ export class PikaAudio {
       ballTouchesGround: new PikaStereoSound(
         resources[SOUNDS.BALLTOUCHESGROUND].sound
       ),
+      // the sounds of the contact zones share the sound of the ball touching ground, played at different speeds
+      header: new PikaStereoSound(
+        resources[SOUNDS.BALLTOUCHESGROUND].sound,
+        1.5
+      ),
+      chestTrap: new PikaStereoSound(
+        resources[SOUNDS.BALLTOUCHESGROUND].sound,
+        0.6
+      ),
+      kick: new PikaStereoSound(
+        resources[SOUNDS.BALLTOUCHESGROUND].sound,
+        1.2
+      ),
     };
 
     this.sounds.bgm.loop = true;
@@ -91,8 +104,10 @@ class PikaStereoSound {
   /**
    * create a PikaStereoSound object
    * @param {PIXI.sound.Sound} sound
+   * @param {number} [speed] playback speed, which also changes the pitch
    */
-  constructor(sound) {
+  constructor(sound, speed = 1) {
+    this.speed = speed;
     this.center = sound;
     this.left = PIXIsound.Sound.from(sound.url);
     this.right = PIXIsound.Sound.from(sound.url);
@@ -128,12 +143,13 @@ class PikaStereoSound {
    * @param {number} leftOrCenterOrRight -1: left, 0: center, 1: right
    */
   play(leftOrCenterOrRight = 0) {
+    const options = { speed: this.speed };
     if (leftOrCenterOrRight === 0) {
-      this.center.play();
+      this.center.play(options);
     } else if (leftOrCenterOrRight === -1) {
-      this.left.play();
+      this.left.play(options);
     } else if (leftOrCenterOrRight === 1) {
-      this.right.play();
+      this.right.play(options);
     }
   }
 
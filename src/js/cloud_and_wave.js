@@ -7,7 +7,7 @@
  * ex) FUN_00404770 means the function at the address 00404770 in the machine code.
  */
  'use strict';
- import { rand } from './rand.js';
+ import { randCosmetic } from './rand.js';
 
 const VIEWPORT_WIDTH = 768 //match with VIEWPORT_WIDTH in view.js
 const VIEWPORT_HEIGHT = 432 //match with VIEWPORT_HEIGHT in view.js
@@ -17,10 +17,10 @@ const VIEWPORT_HEIGHT = 432 //match with VIEWPORT_HEIGHT in view.js
   */
  export class Cloud {
      constructor() {
-         this.topLeftPointX = -68 + (rand() % (VIEWPORT_WIDTH + 68));
-         this.topLeftPointY = rand() % (VIEWPORT_HEIGHT - 200);
-         this.topLeftPointXVelocity = 1 + (rand() % 2);
-         this.sizeDiffTurnNumber = rand() % 11;
+         this.topLeftPointX = -68 + (randCosmetic() % (VIEWPORT_WIDTH + 68));
+         this.topLeftPointY = randCosmetic() % (VIEWPORT_HEIGHT - 200);
+         this.topLeftPointXVelocity = 1 + (randCosmetic() % 2);
+         this.sizeDiffTurnNumber = randCosmetic() % 11;
      }
  
      get sizeDiff() {
@@ -70,8 +70,8 @@ const VIEWPORT_HEIGHT = 432 //match with VIEWPORT_HEIGHT in view.js
        cloudArray[i].topLeftPointX += cloudArray[i].topLeftPointXVelocity;
        if (cloudArray[i].topLeftPointX > VIEWPORT_WIDTH) {
            cloudArray[i].topLeftPointX = -68;
-           cloudArray[i].topLeftPointY = rand() % (VIEWPORT_HEIGHT - 200);
-           cloudArray[i].topLeftPointXVelocity = 1 + (rand() % 2);
+           cloudArray[i].topLeftPointY = randCosmetic() % (VIEWPORT_HEIGHT - 200);
+           cloudArray[i].topLeftPointXVelocity = 1 + (randCosmetic() % 2);
        }
        cloudArray[i].sizeDiffTurnNumber =
        (cloudArray[i].sizeDiffTurnNumber + 1) % 11;
@@ -83,11 +83,11 @@ const VIEWPORT_HEIGHT = 432 //match with VIEWPORT_HEIGHT in view.js
      wave.verticalCoordVelocity = -1;
    } else if (wave.verticalCoord < 0 && wave.verticalCoordVelocity < 0) {
      wave.verticalCoordVelocity = 2;
-     wave.verticalCoord = -(rand() % 40);
+     wave.verticalCoord = -(randCosmetic() % 40);
    }
 
      for (let i = 0; i < VIEWPORT_WIDTH / 16; i++) {
-         wave.yCoords[i] = VIEWPORT_HEIGHT + 24 - wave.verticalCoord + (rand() % 3);
+         wave.yCoords[i] = VIEWPORT_HEIGHT + 24 - wave.verticalCoord + (randCosmetic() % 3);
      }
  }
  
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * This module takes charge of the user input via gamepad (game controller),
+ * read by the Gamepad API of the browser
+ * Refer {@link https://developer.mozilla.org/en-US/docs/Web/API/Gamepad_API}
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+
+/** @constant @type {number} number of gamepads which can be used together */
+export const MAX_GAMEPADS = 4;
+/** @constant @type {number} the analog stick tilted less than this (in [0, 1]) is regarded as centered */
+const STICK_DEADZONE = 0.5;
+/**
+ * Indices of the buttons in the standard gamepad layout
+ * Refer {@link https://w3c.github.io/gamepad/#remapping}
+ * @constant @type {Object.<string, number>}
+ */
+const BUTTON = {
+  // bottom face button (A on Xbox controllers, cross on PlayStation controllers)
+  BOTTOM: 0,
+  // right face button
+  RIGHT: 1,
+  // left face button
+  LEFT: 2,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+};
+
+/**
+ * Class representing a gamepad used to control a player.
+ * The left analog stick and the d-pad move the player, the right face button jumps,
+ * and the bottom (or the left) face button is the power hit key.
+ */
+export class PikaGamepad extends PikaUserInput {
+  /**
+   * Create a gamepad used for game controller
+   * @param {number} index index of the gamepad in navigator.getGamepads(), in [0, {@link MAX_GAMEPADS})
+   */
+  constructor(index) {
+    super();
+    /** @type {number} index of the gamepad in navigator.getGamepads() */
+    this.index = index;
+    /** @type {boolean} Is the gamepad connected? */
+    this.isConnected = false;
+    /** @type {boolean} */
+    this.powerHitButtonIsDownPrevious = false;
+
+    this.connectedListener = this.connectedHandler.bind(this);
+    this.disconnectedListener = this.disconnectedHandler.bind(this);
+    this.subscribe();
+  }
+
+  /**
+   * Get xDirection, yDirection, powerHit input from the gamepad.
+   * This method is for freezing the gamepad input during the process of one game frame.
+   */
+  getInput() {
+    const gamepad = this.isConnected ? getGamepad(this.index) : null;
+    if (gamepad === null) {
+      this.xDirection = 0;
+      this.yDirection = 0;
+      this.powerHit = 0;
+      this.powerKeyDown = false;
+      this.powerHitButtonIsDownPrevious = false;
+      return;
+    }
+    const stickX = gamepad.axes.length > 0 ? gamepad.axes[0] : 0;
+    const stickY = gamepad.axes.length > 1 ? gamepad.axes[1] : 0;
+
+    if (isButtonDown(gamepad, BUTTON.DPAD_LEFT) || stickX < -STICK_DEADZONE) {
+      this.xDirection = -1;
+    } else if (
+      isButtonDown(gamepad, BUTTON.DPAD_RIGHT) ||
+      stickX > STICK_DEADZONE
+    ) {
+      this.xDirection = 1;
+    } else {
+      this.xDirection = 0;
+    }
+
+    if (
+      isButtonDown(gamepad, BUTTON.DPAD_UP) ||
+      isButtonDown(gamepad, BUTTON.RIGHT) ||
+      stickY < -STICK_DEADZONE
+    ) {
+      this.yDirection = -1;
+    } else if (
+      isButtonDown(gamepad, BUTTON.DPAD_DOWN) ||
+      stickY > STICK_DEADZONE
+    ) {
+      this.yDirection = 1;
+    } else {
+      this.yDirection = 0;
+    }
+
+    const isDown =
+      isButtonDown(gamepad, BUTTON.BOTTOM) || isButtonDown(gamepad, BUTTON.LEFT);
+    if (!this.powerHitButtonIsDownPrevious && isDown) {
+      this.powerHit = 1;
+    } else {
+      this.powerHit = 0;
+    }
+    this.powerHitButtonIsDownPrevious = isDown;
+    this.powerKeyDown = isDown;
+  }
+
+  /**
+   * When a gamepad is connected
+   * @param {GamepadEvent} event
+   */
+  connectedHandler(event) {
+    if (event.gamepad.index === this.index) {
+      this.isConnected = true;
+    }
+  }
+
+  /**
+   * When a gamepad is disconnected
+   * @param {GamepadEvent} event
+   */
+  disconnectedHandler(event) {
+    if (event.gamepad.index === this.index) {
+      this.isConnected = false;
+    }
+  }
+
+  /**
+   * Subscribe gamepadconnected, gamepaddisconnected event listeners for this gamepad
+   */
+  subscribe() {
+    window.addEventListener('gamepadconnected', this.connectedListener);
+    window.addEventListener('gamepaddisconnected', this.disconnectedListener);
+    // the gamepad may have been connected before
+    this.isConnected = getGamepad(this.index) !== null;
+  }
+
+  /**
+   * Unsubscribe gamepadconnected, gamepaddisconnected event listeners for this gamepad
+   */
+  unsubscribe() {
+    window.removeEventListener('gamepadconnected', this.connectedListener);
+    window.removeEventListener(
+      'gamepaddisconnected',
+      this.disconnectedListener
+    );
+    this.isConnected = false;
+  }
+}
+
+/**
+ * Get the connected gamepad of the index from the browser
+ * @param {number} index
+ * @return {Gamepad} null if it is not connected or the browser does not support the Gamepad API
+ */
+function getGamepad(index) {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+    return null;
+  }
+  const gamepad = navigator.getGamepads()[index];
+  return gamepad ? gamepad : null;
+}
+
+/**
+ * Is the button of the gamepad pressed?
+ * @param {Gamepad} gamepad
+ * @param {number} buttonIndex one of {@link BUTTON}
+ * @return {boolean}
+ */
+function isButtonDown(gamepad, buttonIndex) {
+  const button = gamepad.buttons[buttonIndex];
+  return button !== undefined && button.pressed;
+}
@@ -4,6 +4,60 @@
 'use strict';
 import { PikaUserInput } from './physics.js';
 
+/**
+ * Keys to control a player: KeyboardEvent.code value of the key for each action
+ * Refer {@link https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code/code_values}
+ * @typedef {{left: string, right: string, up: string, down: string, powerHit: string}} KeyBinding
+ */
+
+/** @constant @type {string[]} actions of a player which are bound to keys, the properties of {@link KeyBinding} */
+export const KEY_ACTIONS = ['left', 'right', 'up', 'down', 'powerHit'];
+
+/**
+ * @constant @type {KeyBinding[]} default keys for the players: [0] for player 1, [1] for player 2,
+ * [2] for player 3 and [3] for player 4 (the teammates of a team match)
+ */
+export const DEFAULT_KEY_BINDINGS = [
+  { left: 'KeyD', right: 'KeyG', up: 'KeyR', down: 'KeyF', powerHit: 'KeyZ' },
+  {
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    powerHit: 'Enter',
+  },
+  { left: 'KeyJ', right: 'KeyL', up: 'KeyI', down: 'KeyK', powerHit: 'KeyN' },
+  {
+    left: 'Numpad4',
+    right: 'Numpad6',
+    up: 'Numpad8',
+    down: 'Numpad5',
+    powerHit: 'Numpad0',
+  },
+];
+
+/**
+ * Find the binding which already uses the key, so that a key is not bound to two actions
+ * @param {KeyBinding[]} keyBindings [i] for the (i+1)-th player
+ * @param {string} code KeyboardEvent.code value of the key
+ * @param {number} playerIndex index of the player to whom the key is going to be bound
+ * @param {string} action one of {@link KEY_ACTIONS}, to which the key is going to be bound
+ * @return {{playerIndex: number, action: string}} null if no other action uses the key
+ */
+export function findKeyBindingConflict(keyBindings, code, playerIndex, action) {
+  for (let i = 0; i < keyBindings.length; i++) {
+    for (const otherAction of KEY_ACTIONS) {
+      if (
+        keyBindings[i][otherAction] === code &&
+        (i !== playerIndex || otherAction !== action)
+      ) {
+        return { playerIndex: i, action: otherAction };
+      }
+    }
+  }
+  return null;
+}
+
 /**
  * Class representing a keyboard used to contorl a player
  */
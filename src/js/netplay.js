@@ -0,0 +1,491 @@
+/**
+ * Online two-player netplay with rollback
+ *
+ * Each peer controls one player. The user inputs are exchanged for every physics frame,
+ * and the input of the other peer which has not arrived yet is predicted so that the game does not wait for it.
+ * When the actual input arrives and it differs from the predicted one, the game state is rolled back
+ * to the saved state of that frame and the frames are re-simulated with the actual inputs.
+ *
+ * The messages between the peers go through a transport, which is pluggable:
+ * {@link DataChannelTransport} (WebRTC) for the actual netplay,
+ * {@link WebSocketTransport} for the signaling of WebRTC through a relay server (see "src/signaling_server.js")
+ * which can also be used for the netplay itself,
+ * and {@link LocalTransport} for testing in a single process.
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+import { encodeUserInput, decodeUserInput } from './replay.js';
+
+/**
+ * Interface of a transport which delivers the messages (JSON-serializable objects) to the other peer in order
+ * @typedef {Object} Transport
+ * @property {function(Object):void} send send a message to the other peer
+ * @property {function(function(Object):void):void} setMessageHandler set the function called with a message from the other peer
+ * @property {function(function():void):void} setCloseHandler set the function called when the connection is closed
+ * @property {function():void} close close the connection
+ */
+
+/** @constant @type {number} number of frames by which the local input is delayed, to reduce rollbacks */
+const INPUT_DELAY_FRAMES = 2;
+/** @constant @type {number} maximum number of frames which can be simulated with predicted inputs */
+const MAX_PREDICTION_FRAMES = 8;
+/** @constant @type {number} encoded user input for no input */
+const NO_INPUT = encodeUserInput(new PikaUserInput());
+/** @constant @type {number} number of the possible encoded user inputs (see {@link encodeUserInput}) */
+const NUM_OF_INPUTS = 36;
+
+/**
+ * Class representing a netplay session, which runs the physics frames with the inputs of both peers
+ *
+ * The game state is handled by the callbacks given by the controller, so this class does not know about it:
+ *  - saveState(): return a copy of the game state
+ *  - loadState(state): restore the game state to the copy
+ *  - simulateFrame(frame, userInputArray): simulate a physics frame with the inputs ([0] for player 1, [1] for player 2)
+ */
+export class NetplaySession {
+  /**
+   * Create a netplay session
+   * @param {Transport} transport connected to the other peer
+   * @param {number} localPlayerIndex 0: this peer controls player 1, 1: player 2
+   * @param {{saveState: function():Object, loadState: function(Object):void, simulateFrame: function(number, PikaUserInput[]):void}} callbacks
+   */
+  constructor(transport, localPlayerIndex, callbacks) {
+    this.transport = transport;
+    this.localPlayerIndex = localPlayerIndex;
+    this.callbacks = callbacks;
+
+    /** @type {number} index of the next frame to simulate */
+    this.frame = 0;
+    /** @type {number[]} encoded local inputs indexed by frame */
+    this.localInputs = [];
+    /** @type {number[]} encoded remote inputs indexed by frame, undefined if not arrived yet */
+    this.remoteInputs = [];
+    /** @type {number} the last frame up to which all the remote inputs have arrived */
+    this.confirmedFrame = INPUT_DELAY_FRAMES - 1;
+    for (let i = 0; i < INPUT_DELAY_FRAMES; i++) {
+      this.localInputs.push(NO_INPUT);
+      this.remoteInputs.push(NO_INPUT);
+    }
+    /** @type {Map<number, number>} remote inputs used for simulating the frames which are not confirmed */
+    this.usedRemoteInputs = new Map();
+    /** @type {Map<number, Object>} game states saved right before simulating the frames which are not confirmed */
+    this.savedStates = new Map();
+    /** @type {Object[]} messages arrived but not processed yet */
+    this.receivedMessages = [];
+    /** @type {number} number of rollbacks so far, for debugging */
+    this.rollbackCount = 0;
+    /** @type {boolean} Is the connection closed? */
+    this.closed = false;
+
+    /** @type {PikaUserInput[]} [0] for player 1, [1] for player 2 */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+
+    transport.setMessageHandler((message) => {
+      if (message.type === 'input') {
+        this.receivedMessages.push(message);
+      }
+    });
+    transport.setCloseHandler(() => {
+      this.closed = true;
+    });
+  }
+
+  /** @return {boolean} Are the inputs of all the simulated frames confirmed? */
+  get isAllConfirmed() {
+    return this.confirmedFrame >= this.frame - 1;
+  }
+
+  /**
+   * Take the local input for a future frame and simulate the next frame.
+   * It does nothing and returns false if it is too far ahead of the remote inputs.
+   * @param {PikaUserInput} localUserInput
+   * @return {boolean} Is a frame simulated?
+   */
+  advance(localUserInput) {
+    this.update();
+    if (this.frame - this.confirmedFrame > MAX_PREDICTION_FRAMES) {
+      return false;
+    }
+    const inputFrame = this.frame + INPUT_DELAY_FRAMES;
+    // The input for the frame may have been taken already if the session was rewound.
+    if (this.localInputs[inputFrame] === undefined) {
+      const input = encodeUserInput(localUserInput);
+      this.localInputs[inputFrame] = input;
+      this.transport.send({ type: 'input', frame: inputFrame, input: input });
+    }
+    this.simulateNextFrame();
+    return true;
+  }
+
+  /**
+   * Process the remote inputs arrived, and roll back if any of the predictions was wrong.
+   * The session is closed if the other peer sends an input which is not valid,
+   * since the game states of the peers could not be the same any more.
+   */
+  update() {
+    let rollbackFrame = this.frame;
+    for (const message of this.receivedMessages) {
+      // The inputs are sent once for each frame in order, so the frame must be the next one.
+      if (
+        message.frame !== this.remoteInputs.length ||
+        !Number.isInteger(message.input) ||
+        message.input < 0 ||
+        message.input >= NUM_OF_INPUTS
+      ) {
+        this.receivedMessages = [];
+        this.close();
+        return;
+      }
+      this.remoteInputs[message.frame] = message.input;
+      if (
+        this.usedRemoteInputs.has(message.frame) &&
+        this.usedRemoteInputs.get(message.frame) !== message.input
+      ) {
+        rollbackFrame = Math.min(rollbackFrame, message.frame);
+      }
+    }
+    this.receivedMessages = [];
+    while (this.remoteInputs[this.confirmedFrame + 1] !== undefined) {
+      this.confirmedFrame++;
+    }
+
+    if (rollbackFrame < this.frame) {
+      this.rollbackCount++;
+      const frameToReach = this.frame;
+      this.callbacks.loadState(this.savedStates.get(rollbackFrame));
+      this.frame = rollbackFrame;
+      while (this.frame < frameToReach) {
+        this.simulateNextFrame();
+      }
+    }
+
+    // The frames up to the confirmed frame never get rolled back.
+    for (const frame of this.savedStates.keys()) {
+      if (frame <= this.confirmedFrame) {
+        this.savedStates.delete(frame);
+        this.usedRemoteInputs.delete(frame);
+      }
+    }
+  }
+
+  /**
+   * Discard the frames from the frame, which should be confirmed, so that they are simulated again.
+   * It is used when the game has not used the state of these frames, e.g. after the end of a round.
+   * @param {number} frame
+   */
+  rewindTo(frame) {
+    this.frame = frame;
+    for (const savedFrame of this.savedStates.keys()) {
+      if (savedFrame >= frame) {
+        this.savedStates.delete(savedFrame);
+        this.usedRemoteInputs.delete(savedFrame);
+      }
+    }
+  }
+
+  /**
+   * Close the connection to the other peer
+   */
+  close() {
+    this.closed = true;
+    this.transport.close();
+  }
+
+  /**
+   * Simulate the next frame, with the predicted remote input if it has not arrived
+   */
+  simulateNextFrame() {
+    const frame = this.frame;
+    let remoteInput = this.remoteInputs[frame];
+    if (remoteInput === undefined) {
+      // predict that the other player keeps pressing the same direction keys
+      const lastInput = this.remoteInputs[this.confirmedFrame];
+      const lastUserInput = new PikaUserInput();
+      decodeUserInput(lastInput, lastUserInput);
+      lastUserInput.powerHit = 0;
+      remoteInput = encodeUserInput(lastUserInput);
+    }
+    if (frame > this.confirmedFrame) {
+      this.savedStates.set(frame, this.callbacks.saveState());
+      this.usedRemoteInputs.set(frame, remoteInput);
+    }
+    const localInput = this.localInputs[frame];
+    decodeUserInput(
+      localInput === undefined ? NO_INPUT : localInput,
+      this.userInputArray[this.localPlayerIndex]
+    );
+    decodeUserInput(remoteInput, this.userInputArray[1 - this.localPlayerIndex]);
+    this.callbacks.simulateFrame(frame, this.userInputArray);
+    this.frame++;
+  }
+}
+
+/**
+ * Class representing a transport between two objects in the same process, for testing.
+ * Create a connected pair by {@link createLocalTransportPair}.
+ */
+export class LocalTransport {
+  /**
+   * @param {number} latency delay (ms) of delivering a message
+   */
+  constructor(latency) {
+    this.latency = latency;
+    /** @type {LocalTransport} */
+    this.peer = null;
+    this.messageHandler = null;
+    this.closeHandler = null;
+    this.closed = false;
+  }
+
+  send(message) {
+    if (this.closed) {
+      return;
+    }
+    // serialize it as the other transports do, so that the sender cannot modify the message after sending
+    const data = JSON.stringify(message);
+    const peer = this.peer;
+    setTimeout(() => {
+      if (!peer.closed && peer.messageHandler !== null) {
+        peer.messageHandler(JSON.parse(data));
+      }
+    }, this.latency);
+  }
+
+  setMessageHandler(handler) {
+    this.messageHandler = handler;
+  }
+
+  setCloseHandler(handler) {
+    this.closeHandler = handler;
+  }
+
+  close() {
+    for (const transport of [this, this.peer]) {
+      if (!transport.closed) {
+        transport.closed = true;
+        if (transport.closeHandler !== null) {
+          transport.closeHandler();
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Create a pair of transports connected to each other in the same process
+ * @param {number} [latency] delay (ms) of delivering a message
+ * @return {LocalTransport[]}
+ */
+export function createLocalTransportPair(latency = 0) {
+  const a = new LocalTransport(latency);
+  const b = new LocalTransport(latency);
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+/**
+ * Class representing a transport through a WebSocket relay server which pairs two peers in a room.
+ * The server sends {type: "peer-joined", isHost: boolean} to both peers when the second peer joins the room
+ * (isHost is true for the peer who joined first), and relays the other messages to the other peer.
+ */
+export class WebSocketTransport {
+  /**
+   * Connect to the relay server
+   * @param {string} url e.g. "ws://localhost:8080"
+   * @param {string} room name of the room to join
+   */
+  constructor(url, room) {
+    this.socket = new WebSocket(`${url}/${encodeURIComponent(room)}`);
+    this.messageHandler = null;
+    this.closeHandler = null;
+    /** @type {Object[]} messages sent before the socket is open */
+    this.pendingMessages = [];
+    this.socket.addEventListener('open', () => {
+      for (const message of this.pendingMessages) {
+        this.socket.send(JSON.stringify(message));
+      }
+      this.pendingMessages = [];
+    });
+    this.socket.addEventListener('message', (event) => {
+      if (this.messageHandler !== null) {
+        this.messageHandler(JSON.parse(event.data));
+      }
+    });
+    this.socket.addEventListener('close', () => {
+      if (this.closeHandler !== null) {
+        this.closeHandler();
+      }
+    });
+  }
+
+  send(message) {
+    if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.pendingMessages.push(message);
+    } else if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  setMessageHandler(handler) {
+    this.messageHandler = handler;
+  }
+
+  setCloseHandler(handler) {
+    this.closeHandler = handler;
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Class representing a transport through an open WebRTC data channel
+ */
+export class DataChannelTransport {
+  /**
+   * @param {RTCPeerConnection} peerConnection
+   * @param {RTCDataChannel} channel open data channel
+   */
+  constructor(peerConnection, channel) {
+    this.peerConnection = peerConnection;
+    this.channel = channel;
+    this.messageHandler = null;
+    this.closeHandler = null;
+    channel.addEventListener('message', (event) => {
+      if (this.messageHandler !== null) {
+        this.messageHandler(JSON.parse(event.data));
+      }
+    });
+    channel.addEventListener('close', () => {
+      if (this.closeHandler !== null) {
+        this.closeHandler();
+      }
+    });
+  }
+
+  send(message) {
+    if (this.channel.readyState === 'open') {
+      this.channel.send(JSON.stringify(message));
+    }
+  }
+
+  setMessageHandler(handler) {
+    this.messageHandler = handler;
+  }
+
+  setCloseHandler(handler) {
+    this.closeHandler = handler;
+  }
+
+  close() {
+    this.channel.close();
+    this.peerConnection.close();
+  }
+}
+
+/**
+ * Connect to the other peer by WebRTC, exchanging the offer, answer and ICE candidates through the signaling transport.
+ * The peer who joined the room first is the host, which makes the offer when the other peer joins.
+ * @param {Transport} signalingTransport
+ * @param {RTCIceServer[]} [iceServers]
+ * @return {Promise<{transport: DataChannelTransport, isHost: boolean}>} resolved when the data channel is open
+ */
+export function connectPeer(
+  signalingTransport,
+  iceServers = [{ urls: 'stun:stun.l.google.com:19302' }]
+) {
+  return new Promise((resolve, reject) => {
+    const peerConnection = new RTCPeerConnection({ iceServers: iceServers });
+    let isHost = false;
+    const onChannelOpen = (channel) => {
+      signalingTransport.setCloseHandler(() => {});
+      signalingTransport.close();
+      resolve({
+        transport: new DataChannelTransport(peerConnection, channel),
+        isHost: isHost,
+      });
+    };
+
+    peerConnection.addEventListener('icecandidate', (event) => {
+      if (event.candidate) {
+        signalingTransport.send({
+          type: 'candidate',
+          candidate: event.candidate.toJSON(),
+        });
+      }
+    });
+    peerConnection.addEventListener('connectionstatechange', () => {
+      if (peerConnection.connectionState === 'failed') {
+        reject(new Error('WebRTC connection failed'));
+      }
+    });
+    peerConnection.addEventListener('datachannel', (event) => {
+      const channel = event.channel;
+      channel.addEventListener('open', () => onChannelOpen(channel));
+    });
+
+    // The messages are handled in order, since each step of WebRTC negotiation is asynchronous.
+    let negotiation = Promise.resolve();
+    const handleSignalingMessage = (message) => {
+      if (message.type === 'peer-joined') {
+        isHost = message.isHost;
+        if (!isHost) {
+          return;
+        }
+        const channel = peerConnection.createDataChannel('pikachu-soccer', {
+          ordered: true,
+        });
+        channel.addEventListener('open', () => onChannelOpen(channel));
+        return peerConnection
+          .createOffer()
+          .then((offer) => peerConnection.setLocalDescription(offer))
+          .then(() => {
+            signalingTransport.send({
+              type: 'offer',
+              description: peerConnection.localDescription.toJSON(),
+            });
+          });
+      } else if (message.type === 'offer') {
+        return peerConnection
+          .setRemoteDescription(message.description)
+          .then(() => peerConnection.createAnswer())
+          .then((answer) => peerConnection.setLocalDescription(answer))
+          .then(() => {
+            signalingTransport.send({
+              type: 'answer',
+              description: peerConnection.localDescription.toJSON(),
+            });
+          });
+      } else if (message.type === 'answer') {
+        return peerConnection.setRemoteDescription(message.description);
+      } else if (message.type === 'candidate') {
+        return peerConnection.addIceCandidate(message.candidate);
+      } else if (message.type === 'room-full') {
+        throw new Error('the room is full');
+      }
+    };
+    signalingTransport.setCloseHandler(() => {
+      peerConnection.close();
+      reject(new Error('signaling connection closed'));
+    });
+    // The negotiation stops at the first failure, and the messages after it are ignored.
+    let isFailed = false;
+    signalingTransport.setMessageHandler((message) => {
+      negotiation = negotiation
+        .then(() => {
+          if (!isFailed) {
+            return handleSignalingMessage(message);
+          }
+        })
+        .catch((err) => {
+          isFailed = true;
+          signalingTransport.setCloseHandler(() => {});
+          signalingTransport.close();
+          peerConnection.close();
+          reject(err);
+        });
+    });
+  });
+}
@@ -27,13 +27,9 @@
  *
  */
  'use strict';
- import { rand } from './rand.js';
+ import { rand, getCustomRng } from './rand.js';
  
- /** @constant @type {number} ground width */
- const GROUND_WIDTH = 768; // match with VIEWPORT_WIDTH in view.js
  const VIEWPORT_HEIGHT = 432; // match with VIEWPORT_HEIGHT in view.js
- /** @constant @type {number} ground half-width, it is also the net pillar x coordinate */
- const GROUND_HALF_WIDTH = GROUND_WIDTH / 2;
  /** @constant @type {number} player (Pikachu) length: width = height = 64 */
  const PLAYER_LENGTH = 64;
  /** @constant @type {number} player half length */
@@ -54,26 +50,189 @@
  /** @constant @type {number} net pillar top's bottom side y coordinate (this value is on this physics engine only) */
  const NET_PILLAR_TOP_BOTTOM_Y_COORD = 192;
  
- /** @constant @type {number} goal post top's y coordinate */
- const GOAL_TOP_Y_COORD = VIEWPORT_HEIGHT - 168;
- /** @constant @type {number} half of goal post top's thickness */
- const GOAL_TOP_HALF_HEIGHT = 4;
- /** @constant @type {number} goal post top's width (extruding distance from the wall = world border) */
- const GOAL_TOP_WIDTH = 64;
+ /**
+  * Geometry of the pitch, which may differ per mode (see "field" of {@link PikaPhysics}).
+  * The x coordinate runs from the left wall (0) to the right wall (width) of the pitch,
+  * and the goals are under the crossbars (the goal post tops) extruding from the walls.
+  * @typedef {Object} FieldConfig
+  * @property {number} width pitch width: distance between the walls (at most VIEWPORT_WIDTH in view.js)
+  * @property {number} goalHeight height of the crossbar (the middle of its thickness) above the ground
+  * @property {number} goalDepth depth of the goal: width of the crossbar extruding from the wall
+  * @property {number} crossbarThickness thickness of the crossbar (an even number)
+  */
+ /** @constant @type {FieldConfig} pitch of the original game, as wide as the screen */
+ export const DEFAULT_FIELD = {
+   width: 768,
+   goalHeight: 104,
+   goalDepth: 64,
+   crossbarThickness: 8,
+ };
+ /** @constant @type {FieldConfig} narrower pitch with taller goals, where more goals are scored */
+ export const SMALL_FIELD = {
+   width: 704,
+   goalHeight: 120,
+   goalDepth: 64,
+   crossbarThickness: 8,
+ };
+ 
+ /** @constant @type {number} penalty spot's distance from the wall behind the goal */
+ const PENALTY_SPOT_DISTANCE = 224;
+ /** @constant @type {number} distance from the penalty spot to the place where the shooter of a penalty kick stands */
+ const PENALTY_SHOOTER_DISTANCE = 96;
+ /** @constant @type {number} width of the area in front of the goal where the keeper of a penalty kick is confined */
+ const PENALTY_GOAL_AREA_WIDTH = 48;
+ /** @constant @type {number} maximum number of players on each side, in a team match (see {@link PikaPhysics#setPlayersPerSide}) */
+ export const MAX_PLAYERS_PER_SIDE = 2;
+ /** @constant @type {number} distance from the own wall to the place where the forward of a team match starts a round */
+ const FORWARD_START_DISTANCE = 196;
+ /**
+  * @constant @type {number[]} x speed of the power hit ball, aimed by the horizontal-direction input:
+  * [0] backward (a weaker shot), [1] no horizontal input, [2] toward the goal of the other player (a stronger shot)
+  */
+ const POWER_HIT_X_SPEEDS = [14, 20, 24];
+ /**
+  * @constant @type {number[]} y velocity of the power hit ball, aimed by the vertical-direction input:
+  * [0] for up (a chip over the other player), [1] for no vertical input (a low drive), [2] for down (a downward shot)
+  */
+ const POWER_HIT_Y_VELOCITIES = [-14, 0, 10];
+ /** @constant @type {number} number of frames for which the power hit key should be held to fully charge a power hit */
+ export const POWER_HIT_CHARGE_MAX_FRAMES = 30;
+ /** @constant @type {number} minimum charge (frames) which fires a charged power hit when the power hit key is released. A shorter press is a tap */
+ const POWER_HIT_CHARGE_MIN_FRAMES = 5;
+ /** @constant @type {number} x speed added to the power hit ball by a fully charged power hit */
+ const POWER_HIT_CHARGE_MAX_BONUS_SPEED = 10;
+ /** @constant @type {number} number of frames for which a slide tackle slides on the ground before the player lies down */
+ const SLIDE_TACKLE_FRAMES = 8;
+ /** @constant @type {number} x speed of the ball knocked away by a slide tackle */
+ const SLIDE_TACKLE_BALL_X_SPEED = 12;
+ /** @constant @type {number} maximum x speed of the ball relative to the player which the player can take under control for a dribble */
+ const DRIBBLE_MAX_RELATIVE_SPEED = 12;
+ /** @constant @type {number} maximum y speed of the ball which the player can take under control for a dribble */
+ const DRIBBLE_MAX_BALL_Y_SPEED = 6;
+ /** @constant @type {number} distance in front of the dribbling player within which the player touches the ball */
+ const DRIBBLE_TOUCH_DISTANCE = 32;
+ /** @constant @type {number} x speed, relative to the dribbling player, with which a touch pushes the ball ahead */
+ const DRIBBLE_TOUCH_SPEED = 1;
+ /** @constant @type {number} upward speed of the ball pushed ahead by a touch, which lets it roll over the ground */
+ const DRIBBLE_TOUCH_HOP_SPEED = 3;
+ /** @constant @type {number} y coord of the ball relative to the player, below which the ball touches the feet */
+ const FEET_CONTACT_RELATIVE_Y = -8;
+ /** @constant @type {number} x speed of the ball headed by the player who moves (jumps) to the left or right */
+ const HEADER_X_SPEED = 10;
+ /** @constant @type {number} x speed of the ball deadened by a chest trap */
+ const CHEST_TRAP_X_SPEED = 2;
+ /** @constant @type {number} upward speed of the ball deadened by a chest trap */
+ const CHEST_TRAP_Y_SPEED = 4;
+ /** @constant @type {number} x speed of the ball on the ground, below which the ball is regarded as at rest (see {@link isBallAtRestOnGround}) */
+ const BALL_AT_REST_MAX_X_SPEED = 1;
+ /**
+  * @constant @type {{width: number, height: number}} the box in front of each goal where the goalkeeper may catch the ball
+  * (see "goalkeeperArea" of {@link PikaPhysics}): the width is the distance from the wall behind the goal,
+  * and the height is the height above the ball lying on the ground
+  */
+ export const DEFAULT_GOALKEEPER_AREA = { width: 160, height: 144 };
+ /** @constant @type {number} number of frames for which the goalkeeper may hold the ball before it slips from the hands (3 seconds) */
+ export const GOALKEEPER_HOLD_MAX_FRAMES = 90;
+ /** @constant @type {number} x speed of the ball punted by the goalkeeper */
+ const GOALKEEPER_PUNT_X_SPEED = 10;
+ /** @constant @type {number} y velocity of the ball punted by the goalkeeper */
+ const GOALKEEPER_PUNT_Y_VELOCITY = -14;
+ /** @constant @type {number} x speed of the ball thrown by the goalkeeper, which rolls low along the ground */
+ const GOALKEEPER_THROW_X_SPEED = 12;
+ /** @constant @type {number} y velocity of the ball thrown by the goalkeeper */
+ const GOALKEEPER_THROW_Y_VELOCITY = -5;
+ /** @constant @type {number} number of frames for which the computer goalkeeper holds the ball before releasing it */
+ const GOALKEEPER_COMPUTER_HOLD_FRAMES = 20;
+ 
+ /**
+  * Parts of the body of the player which the ball touches (see {@link getContactZone}).
+  * Each of them makes a distinct ball response in {@link processCollisionBetweenBallAndPlayer}.
+  * @constant @type {Object.<string, number>}
+  */
+ const CONTACT_ZONE = {
+   // a header, redirected to the direction in which the player moves
+   HEAD: 0,
+   // a chest trap, which deadens the ball
+   BODY: 1,
+   // a kick, or a shot by the power hit
+   FEET: 2,
+ };
+ 
+ /**
+  * Kinds of the contact with the other player which the physics engine flags as a foul (see "foulContact" of {@link Player}).
+  * They are judged by the referee (see "referee.js").
+  * @constant @type {Object.<string, number>}
+  */
+ export const FOUL_CONTACT = {
+   NONE: 0,
+   // slide tackle which hits the other player on the ground before the ball
+   SLIDE_TACKLE: 1,
+   // falling (by the down-direction input in the air) onto the other player on the ground
+   STOMP: 2,
+ };
+ /**
+  * @constant @type {number[]} y velocity of the ball power hit by the shooter of a penalty kick,
+  * [0] for up (a high shot to the top of the goal), [1] for no vertical input, [2] for down (a low shot)
+  */
+ const PENALTY_SHOT_Y_VELOCITIES = [-11, -7, -3];
  
  /**
   * It's for to limit the looping number of the infinite loops.
   * This constant is not in the original machine code. (The original machine code does not limit the looping number.)
   *
   * In the original ball x coord range setting (ball x coord in [20, 432]), the infinite loops in
-  * {@link caculate_expected_landing_point_x_for} function and {@link expectedLandingPointXWhenPowerHit} function seems to be always terminated soon.
+  * {@link caculate_expected_landing_point_x_for} function and the original expectedLandingPointXWhenPowerHit function (FUN_00402870)
+  * seems to be always terminated soon.
   * But if the ball x coord range is edited, for example, to [20, 432 - 20] for left-right symmetry,
-  * it is observed that the infinite loop in {@link expectedLandingPointXWhenPowerHit} does not terminate.
-  * So for safety, this infinite loop limit is included for the infinite loops mentioned above.
+  * it is observed that the infinite loop in the original expectedLandingPointXWhenPowerHit function does not terminate.
+  * So for safety, this infinite loop limit is included for the infinite loops mentioned above
+  * and for {@link isExpectedToScoreWhenPowerHit} which replaces the function.
   * @constant @type {number}
   */
  const INFINITE_LOOP_LIMIT = 1000;
  
+ /**
+  * Behavior profiles of the computer player for each difficulty level
+  *
+  * reactionDelay: number of frames for which the computer keeps its last decision before it looks at the game again
+  * positioningError: maximum distance (x coord) by which the computer misjudges where to stand, rerolled every round
+  * shotAccuracy: percentage of the shots for which the computer waits for a shot expected to score
+  * jumpTimingError: maximum number of frames by which the computer jumps too early or too late, rerolled every round
+  * boldness: see {@link Player#computerBoldness}
+  *
+  * @constant @type {Object.<string, {reactionDelay: number, positioningError: number, shotAccuracy: number, jumpTimingError: number, boldness: number}>}
+  */
+ export const COMPUTER_DIFFICULTY = {
+   easy: {
+     reactionDelay: 6,
+     positioningError: 40,
+     shotAccuracy: 40,
+     jumpTimingError: 4,
+     boldness: 1,
+   },
+   normal: {
+     reactionDelay: 3,
+     positioningError: 20,
+     shotAccuracy: 70,
+     jumpTimingError: 2,
+     boldness: 2,
+   },
+   hard: {
+     reactionDelay: 1,
+     positioningError: 8,
+     shotAccuracy: 90,
+     jumpTimingError: 1,
+     boldness: 3,
+   },
+   expert: {
+     reactionDelay: 0,
+     positioningError: 0,
+     shotAccuracy: 100,
+     jumpTimingError: 0,
+     boldness: 4,
+   },
+ };
+ 
  /**
   * Class representing a pack of physical objects i.e. players and ball
   * whose physical values are calculated and set by {@link physicsEngine} function
@@ -83,28 +242,304 @@
     * Create a physics pack
     * @param {boolean} isPlayer1Computer Is player on the left (player 1) controlled by computer?
     * @param {boolean} isPlayer2Computer Is player on the right (player 2) controlled by computer?
+    * @param {FieldConfig} [field] geometry of the pitch
     */
-   constructor(isPlayer1Computer, isPlayer2Computer) {
+   constructor(isPlayer1Computer, isPlayer2Computer, field = DEFAULT_FIELD) {
      this.player1 = new Player(false, isPlayer1Computer);
      this.player2 = new Player(true, isPlayer2Computer);
      this.ball = new Ball(false);
+     /**
+      * All the players on the field: [0] for player 1, [1] for player 2, and in a team match,
+      * [2] for player 3 (the teammate of player 1) and [3] for player 4 (the teammate of player 2).
+      * The players of the even indices are on the left side, and the others are on the right side.
+      * @type {Player[]}
+      */
+     this.players = [this.player1, this.player2];
+     /**
+      * The box in front of each goal where the goalkeeper may catch the ball, e.g. {@link DEFAULT_GOALKEEPER_AREA}.
+      * The goalkeepers are player 1 and player 2 (not the forwards of a team match).
+      * null if no one catches the ball.
+      * @type {{width: number, height: number}}
+      */
+     this.goalkeeperArea = null;
+     /**
+      * Geometry of the pitch, e.g. {@link DEFAULT_FIELD}. It may be changed between the rounds.
+      * @type {FieldConfig}
+      */
+     this.field = field;
+   }
+ 
+   /** @return {number} number of players on each side */
+   get playersPerSide() {
+     return this.players.length / 2;
+   }
+ 
+   /**
+    * Set the number of players on each side: 1 for a match between player 1 and player 2,
+    * or {@link MAX_PLAYERS_PER_SIDE} for a team match, in which player 3 and player 4 join
+    * as the teammates of player 1 and player 2. The teammates start the rounds as the forwards, in front of them.
+    * A new teammate is controlled as player 1 or player 2 is, until it is set otherwise.
+    * Since creating players consumes random numbers, it should be called before seeding the RNG for a match.
+    * @param {number} playersPerSide 1 or {@link MAX_PLAYERS_PER_SIDE}
+    */
+   setPlayersPerSide(playersPerSide) {
+     if (playersPerSide === this.playersPerSide) {
+       return;
+     }
+     this.players.length = 2;
+     if (playersPerSide === MAX_PLAYERS_PER_SIDE) {
+       for (const player of [this.player1, this.player2]) {
+         const teammate = new Player(player.isPlayer2, player.isComputer, true);
+         teammate.computerDifficulty = player.computerDifficulty;
+         this.players.push(teammate);
+       }
+     }
+   }
+ 
+   /**
+    * Initialize all the players and the ball for a new round
+    * @param {boolean} isPlayer2Serve will the player on the right side serve on this new round?
+    */
+   initializeForNewRound(isPlayer2Serve) {
+     for (const player of this.players) {
+       player.initializeForNewRound(isPlayer2Serve, this.field);
+     }
+     this.ball.initializeForNewRound(isPlayer2Serve, this.field);
+   }
+ 
+   /**
+    * Set the difficulty level of the computer players
+    * It is applied from the next round.
+    * @param {string} difficulty key of {@link COMPUTER_DIFFICULTY}: "easy", "normal", "hard" or "expert"
+    */
+   setComputerDifficulty(difficulty) {
+     for (const player of this.players) {
+       player.computerDifficulty = difficulty;
+     }
+   }
+ 
+   /**
+    * Initialize players and ball for a penalty kick.
+    * The ball is placed on the penalty spot in front of the goal of the keeper and the shooter stands behind it,
+    * so that the shooter kicks it with the feet (see {@link CONTACT_ZONE}).
+    * The keeper stands on its goal line and is confined to the goal area under the goal top until the next initialization.
+    * Since the power hit always goes toward the goal of the other side, each player shoots at the goal of the other player.
+    * The shooter aims the power hit high or low by the up or down direction input (see {@link PENALTY_SHOT_Y_VELOCITIES}).
+    * In a team match, the penalty kick is taken between player 1 and player 2, and their teammates watch it off the field.
+    * @param {boolean} isPlayer2Shooter Does player 2 shoot? (then player 1 keeps the goal on the left)
+    */
+   initializeForPenaltyKick(isPlayer2Shooter) {
+     // all the players take part in the penalty shootout, even if they have been sent off
+     for (const player of this.players) {
+       player.sentOffFramesLeft = 0;
+     }
+     this.initializeForNewRound(isPlayer2Shooter);
+     for (const teammate of this.players.slice(2)) {
+       teammate.isOnBench = true;
+       teammate.x = teammate.isPlayer2 ? this.field.width + PLAYER_LENGTH : -PLAYER_LENGTH;
+     }
+     const shooter = isPlayer2Shooter ? this.player2 : this.player1;
+     const keeper = isPlayer2Shooter ? this.player1 : this.player2;
+     // direction from the goal of the keeper toward the field
+     const direction = keeper.isPlayer2 ? -1 : 1;
+     const goalLineX = keeper.isPlayer2 ? this.field.width : 0;
+     shooter.isPenaltyShooter = true;
+     keeper.isPenaltyKeeper = true;
+     keeper.x = goalLineX + direction * this.field.goalDepth;
+     this.ball.x = goalLineX + direction * PENALTY_SPOT_DISTANCE;
+     this.ball.y = BALL_TOUCHING_GROUND_Y_COORD;
+     shooter.x = this.ball.x + direction * PENALTY_SHOOTER_DISTANCE;
+   }
+ 
+   /**
+    * Initialize players and ball for a free kick awarded by the referee.
+    * The ball is placed on the spot of the foul and the kicker stands behind it, as the shooter of a penalty kick does.
+    * There is no wall: the player who fouled stands back on its own goal line (with its teammate in front of it, in a team match).
+    * The spot is moved out of the penalty spot of the player who fouled, and far enough from the other wall for the kicker to stand.
+    * In a team match, player 1 or player 2 takes the free kick for its side, even if the foul was on its teammate.
+    * @param {boolean} isPlayer2Kicker Does player 2 take the free kick?
+    * @param {number} spotX x coord where the foul happened
+    */
+   initializeForFreeKick(isPlayer2Kicker, spotX) {
+     this.initializeForNewRound(isPlayer2Kicker);
+     const kicker = isPlayer2Kicker ? this.player2 : this.player1;
+     // direction from the own wall of the kicker toward the goal of the offender
+     const direction = kicker.isPlayer2 ? -1 : 1;
+     const kickerWallX = kicker.isPlayer2 ? this.field.width : 0;
+     const distance = Math.min(
+       Math.max(Math.abs(spotX - kickerWallX), PENALTY_SHOOTER_DISTANCE + PLAYER_HALF_LENGTH),
+       this.field.width - PENALTY_SPOT_DISTANCE
+     );
+     this.ball.x = kickerWallX + direction * distance;
+     this.ball.y = BALL_TOUCHING_GROUND_Y_COORD;
+     kicker.x = this.ball.x - direction * PENALTY_SHOOTER_DISTANCE;
+     for (const player of this.players) {
+       if (player.isPlayer2 !== kicker.isPlayer2) {
+         const distanceFromGoalLine = player.isForward ? PLAYER_LENGTH : 0;
+         player.x = kickerWallX + direction * (this.field.width - this.field.goalDepth - distanceFromGoalLine);
+       }
+     }
+   }
+ 
+   /**
+    * Make the players on the side which conceded a goal take the losing motion (state 6) until the round ends
+    * @param {boolean} isRightSide did the side on the right concede the goal?
+    */
+   setLosingMotion(isRightSide) {
+     for (const player of this.players) {
+       if (player.isPlayer2 === isRightSide) {
+         player.state = 6;
+       }
+     }
+   }
+ 
+   /**
+    * End the game for all the players: the players on the winning side take the winning motion, and the others the losing one
+    * @param {number} winnerSide 0: the left side wins, 1: the right side wins, -1: nobody wins (a draw)
+    */
+   endGame(winnerSide) {
+     for (const player of this.players) {
+       player.isWinner = (player.isPlayer2 ? 1 : 0) === winnerSide;
+       player.gameEnded = true;
+     }
+   }
+ 
+   /**
+    * Has the ball of a penalty kick gone back over the center line, away from the goal of the keeper?
+    * @return {boolean}
+    */
+   isPenaltyKickCleared() {
+     if (this.player1.isPenaltyKeeper === true) {
+       return this.ball.x > this.field.width / 2;
+     }
+     if (this.player2.isPenaltyKeeper === true) {
+       return this.ball.x < this.field.width / 2;
+     }
+     return false;
+   }
+ 
+   /**
+    * Swap who controls the players on the left and right sides, for the side swap at half time of a timed match.
+    * The players (player 1 is always on the left) stay, and the settings of the controllers are swapped between them,
+    * and between their teammates in a team match.
+    */
+   swapPlayerSettings() {
+     for (let i = 0; i < this.players.length; i += 2) {
+       const leftPlayer = this.players[i];
+       const rightPlayer = this.players[i + 1];
+       for (const prop of ['isComputer', 'computerDifficulty', 'computerWhereToStandBy', 'sentOffFramesLeft']) {
+         const value = leftPlayer[prop];
+         leftPlayer[prop] = rightPlayer[prop];
+         rightPlayer[prop] = value;
+       }
+     }
    }
  
    /**
     * run {@link physicsEngine} function with this physics object and user input
     *
-    * @param {PikaUserInput[]} userInputArray userInputArray[0]: PikaUserInput object for player 1, userInputArray[1]: PikaUserInput object for player 2
+    * @param {PikaUserInput[]} userInputArray userInputArray[i]: PikaUserInput object for players[i] (see {@link players})
     * @return {number} Is ball touching ground?
     */
    runEngineForNextFrame(userInputArray) {
      const playerTouchingBall = physicsEngine(
-       this.player1,
-       this.player2,
+       this.players,
        this.ball,
-       userInputArray
+       userInputArray,
+       this.goalkeeperArea,
+       this.field
      );
      return playerTouchingBall;
    }
+ 
+   /**
+    * Take a snapshot of the state of the players and the ball, and of the seeded RNG if it is in use,
+    * from which the physics continues exactly as it would from now (see {@link restore}).
+    * Every field is copied, including the ones easily forgotten (e.g. holdingFrame, powerHitOnGround,
+    * lyingDownDurationLeft, fineRotation) and the sound flags.
+    * The snapshot is a plain object, so it can be serialized by JSON.
+    *
+    * @return {PhysicsSnapshot}
+    */
+   snapshot() {
+     const rng = getCustomRng();
+     return {
+       player1: copyState(this.player1),
+       player2: copyState(this.player2),
+       teammates: this.players.slice(2).map((teammate) => copyState(teammate)),
+       ball: copyState(this.ball),
+       rngState:
+         rng !== null && typeof rng.getState === 'function'
+           ? rng.getState()
+           : null,
+     };
+   }
+ 
+   /**
+    * Restore the state taken by {@link snapshot}.
+    * The players and the ball keep their identities, so the references to them stay valid.
+    * The RNG state is restored into the seeded RNG in use, which should be the one the snapshot was taken with.
+    *
+    * @param {PhysicsSnapshot} snapshot
+    */
+   restore(snapshot) {
+     restoreState(this.player1, snapshot.player1);
+     restoreState(this.player2, snapshot.player2);
+     for (let i = 2; i < this.players.length; i++) {
+       restoreState(this.players[i], snapshot.teammates[i - 2]);
+     }
+     restoreState(this.ball, snapshot.ball);
+     if (snapshot.rngState !== null) {
+       getCustomRng().setState(snapshot.rngState);
+     }
+   }
+ }
+ 
+ /**
+  * @typedef {Object} PhysicsSnapshot
+  * @property {Object} player1 copy of the fields of player 1
+  * @property {Object} player2 copy of the fields of player 2
+  * @property {Object[]} teammates copies of the fields of player 3 and player 4 in a team match, empty otherwise
+  * @property {Object} ball copy of the fields of the ball
+  * @property {number} rngState state of the seeded RNG, null if the RNG in use is not a seeded one
+  */
+ 
+ /**
+  * Copy the fields of the object deeply: own properties, recursively for objects and arrays
+  * @param {Object} object
+  * @return {Object}
+  */
+ function copyState(object) {
+   if (object === null || typeof object !== 'object') {
+     return object;
+   }
+   const copy = Array.isArray(object) ? [] : {};
+   for (const prop of Object.keys(object)) {
+     copy[prop] = copyState(object[prop]);
+   }
+   return copy;
+ }
+ 
+ /**
+  * Restore the fields of the object to the copy made by {@link copyState},
+  * keeping the identities of the object and its nested objects
+  * @param {Object} object
+  * @param {Object} copy
+  */
+ function restoreState(object, copy) {
+   for (const prop of Object.keys(copy)) {
+     const value = copy[prop];
+     if (
+       value !== null &&
+       typeof value === 'object' &&
+       object[prop] !== null &&
+       typeof object[prop] === 'object'
+     ) {
+       restoreState(object[prop], value);
+     } else {
+       object[prop] = copyState(value);
+     }
+   }
  }
  
  /**
@@ -120,6 +555,31 @@
      this.powerHit = 0;
      this.powerKeyDown = false;
    }
+ 
+   /**
+    * Add the input from another device (e.g. a gamepad) to this input,
+    * so that the player can be controlled by either of them
+    * @param {PikaUserInput} userInput
+    */
+   add(userInput) {
+     if (this.xDirection === 0) {
+       this.xDirection = userInput.xDirection;
+     }
+     if (this.yDirection === 0) {
+       this.yDirection = userInput.yDirection;
+     }
+     this.powerHit = Math.max(this.powerHit, userInput.powerHit);
+     this.powerKeyDown = this.powerKeyDown || userInput.powerKeyDown;
+   }
+ }
+ 
+ /**
+  * y coordinate of the crossbar (the middle of its thickness) of the pitch
+  * @param {FieldConfig} field
+  * @return {number}
+  */
+ export function getCrossbarYCoord(field) {
+   return BALL_TOUCHING_GROUND_Y_COORD - field.goalHeight;
  }
  
  /**
@@ -138,12 +598,33 @@
     * create a player
     * @param {boolean} isPlayer2 Is this player on the right side?
     * @param {boolean} isComputer Is this player controlled by computer?
+    * @param {boolean} [isForward] Is this player the forward of a team match?
     */
-   constructor(isPlayer2, isComputer) {
+   constructor(isPlayer2, isComputer, isForward = false) {
      /** @type {boolean} Is this player on the right side? */
      this.isPlayer2 = isPlayer2; // 0xA0
      /** @type {boolean} Is controlled by computer? */
      this.isComputer = isComputer; // 0xA4
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Difficulty level of the computer which controls this player.
+      * @type {string} key of {@link COMPUTER_DIFFICULTY}
+      */
+     this.computerDifficulty = 'normal';
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Number of frames left for which this player is sent off by the referee, 0 if this player is on the field.
+      * It is carried over to the next rounds. See {@link processSentOffPlayer}.
+      * @type {number}
+      */
+     this.sentOffFramesLeft = 0;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Does this player start the rounds in front of its teammate, as the forward of a team match?
+      * See {@link PikaPhysics#setPlayersPerSide}.
+      * @type {boolean}
+      */
+     this.isForward = isForward;
      this.initializeForNewRound();
  
      /** @type {number} -1: left, 0: no diving, 1: right */
@@ -156,10 +637,11 @@
      this.gameEnded = false; // 0xD4
  
      /**
-      * It flips randomly to 0 or 1 by the {@link letComputerDecideUserInput} function (FUN_00402360)
-      * when ball is hanging around on the other player's side.
-      * If it is 0, computer player stands by around the middle point of their side.
-      * If it is 1, computer player stands by adjecent to the net.
+      * It flips randomly to 0 or 1 by the {@link letComputerDecideUserInput} function
+      * when computer player has reached the place where it wants to be.
+      * If it is 0, computer player stands by between the ball and its own goal
+      * when the other player is closer to the ball.
+      * If it is 1, computer player keeps chasing the ball.
       * @type {number} 0 or 1
       */
      this.computerWhereToStandBy = 0; // 0xDC
@@ -180,12 +662,17 @@
  
    /**
     * initialize for new round
+    * @param {boolean} isPlayer2Serve will player on the right side serve on this new round?
+    * @param {FieldConfig} [field] see "field" of {@link PikaPhysics}
     */
-   initializeForNewRound(isPlayer2Serve) {
+   initializeForNewRound(isPlayer2Serve, field = DEFAULT_FIELD) {
      /** @type {number} x coord */
      this.x = 36; // 0xA8 // initialized to 36 (player1) or 396 (player2)
+     if (this.isForward) {
+       this.x = FORWARD_START_DISTANCE;
+     }
      if (this.isPlayer2) {
-       this.x = GROUND_WIDTH - 36;
+       this.x = field.width - this.x;
      }
      /** @type {number} y coord */
      this.y = PLAYER_TOUCHING_GROUND_Y_COORD; // 0xAC   // initialized to 244
@@ -209,8 +696,83 @@
      this.normalStatusArmSwingDirection = 1; // 0xC8  // initialized to 1
      /** @type {number} */
      this.delayBeforeNextFrame = 0; // 0xCC  // initizlized to 0
+     /**
+      * Is this player holding the ball? Only the goalkeeper catches the ball, see {@link catchBall}.
+      * @type {boolean}
+      */
      this.holding = false;
+     /**
+      * Number of frames left for which the player may hold the ball, -128 if the player is not holding it
+      * @type {number}
+      */
      this.holdingFrame = -128;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Is this player the keeper of a penalty kick? See {@link PikaPhysics#initializeForPenaltyKick}.
+      * @type {boolean}
+      */
+     this.isPenaltyKeeper = false;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Is this player the shooter of a penalty kick? See {@link PikaPhysics#initializeForPenaltyKick}.
+      * @type {boolean}
+      */
+     this.isPenaltyShooter = false;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Does this player stay off the field on this round? The teammates of a team match watch the penalty kicks.
+      * See {@link PikaPhysics#initializeForPenaltyKick}.
+      * @type {boolean}
+      */
+     this.isOnBench = false;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Number of frames for which the power hit key has been held since it was pressed,
+      * up to {@link POWER_HIT_CHARGE_MAX_FRAMES}. 0 if the key is not held. Releasing the key fires the power hit,
+      * a charged one if it has been held for {@link POWER_HIT_CHARGE_MIN_FRAMES} or more.
+      * @type {number}
+      */
+     this.powerHitCharge = 0;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Charge of the current power hit, 0 for a power hit by a tap on the power hit key.
+      * @type {number}
+      */
+     this.releasedPowerHitCharge = 0;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * What the current slide tackle has hit first,
+      * 0: nothing yet, 1: the ball, -1: the other player (a foul)
+      * @type {number}
+      */
+     this.slideTackleContact = 0;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Contact with the other player flagged as a foul on this player, see {@link FOUL_CONTACT}.
+      * It is set by the physics engine and should be cleared by the one who deals with the foul.
+      * @type {number}
+      */
+     this.foulContact = FOUL_CONTACT.NONE;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * x-direction velocity of the movement of the player on the last frame
+      * @type {number}
+      */
+     this.xVelocity = 0;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Is this player dribbling the ball, keeping it close with small touches?
+      * See {@link processDribble}.
+      * @type {boolean}
+      */
+     this.isDribbling = false;
+     /**
+      * This property is not in the player pointers of the original source code.
+      * Direction in which the dribbling player pushes the ball, 1 (right) or -1 (left).
+      * It follows the last horizontal movement of the player.
+      * @type {number}
+      */
+     this.dribbleDirection = 1;
  
      /*
      if(this.isPlayer2 && isPlayer2Serve) {
@@ -223,20 +785,51 @@
  
      this.powerHitOnGround = -1;
  
+     /** @type {Object} behavior profile of the computer, see {@link COMPUTER_DIFFICULTY} */
+     const difficulty = COMPUTER_DIFFICULTY[this.computerDifficulty];
+ 
      /**
-      * This value is initialized to (_rand() % 5) before the start of every round.
+      * In the original game, this value is initialized to (_rand() % 5) before the start of every round.
+      * Here, it is set by the difficulty level of the computer for the computer to be a consistent opponent.
       * The greater the number, the bolder the computer player.
       *
       * If computer has higher boldness,
-      * judges more the ball is haing around the other player's side,
-      * has greater distance to the expected landing point of the ball,
-      * jumps more,
-      * dives less.
-      * See the source code of the {@link letComputerDecideUserInput} function (FUN_00402360).
+      * stands by farther from its own goal,
+      * has greater distance to the place where it wants to be,
+      * jumps for higher balls,
+      * shoots more even if the shot is not expected to score.
+      * See the source code of the {@link letComputerDecideUserInput} function.
       *
       * @type {number} 0, 1, 2, 3 or 4
       */
-     this.computerBoldness = rand() % 5; // 0xD8  // initialized to (_rand() % 5)
+     this.computerBoldness = difficulty.boldness; // 0xD8  // initialized to (_rand() % 5) in the original game
+ 
+     /**
+      * Following values are not in the player pointers of the original source code.
+      * They are set (or rerolled) every round according to the difficulty level of the computer,
+      * so a change of the difficulty is applied from the next round.
+      * See the source code of the {@link letComputerDecideUserInput} function.
+      */
+     /** @type {number} number of frames for which the computer keeps its decision before reacting again */
+     this.computerReactionDelay = difficulty.reactionDelay;
+     /** @type {number} chance (%) that the computer does not shoot hastily */
+     this.computerShotAccuracy = difficulty.shotAccuracy;
+     /** @type {number} distance (x coord) by which the computer misjudges where to stand */
+     this.computerPositioningError =
+       (rand() % (2 * difficulty.positioningError + 1)) - difficulty.positioningError;
+     /** @type {number} number of frames by which the computer jumps too early (positive) or too late (negative) */
+     this.computerJumpTimingError =
+       (rand() % (2 * difficulty.jumpTimingError + 1)) - difficulty.jumpTimingError;
+     /** @type {number} number of frames left for which the computer keeps its last decision */
+     this.computerReactionFramesLeft = 0;
+     /** @type {number} last decided horizontal-direction input of the computer */
+     this.computerXDirection = 0;
+     /** @type {number} last decided vertical-direction input of the computer */
+     this.computerYDirection = 0;
+     /** @type {number} vertical-direction input with which the computer aims its power hit, see {@link POWER_HIT_Y_VELOCITIES} */
+     this.computerShotYDirection = 0;
+     /** @type {number} the computer keeper's read of the penalty shot, 0: not decided yet, 1: jump for it, -1: stay on the ground */
+     this.computerPenaltyKeeperDecision = 0;
    }
  }
  
@@ -291,16 +884,20 @@
      this.sound = {
        powerHit: false,
        ballTouchesGround: false,
+       header: false,
+       chestTrap: false,
+       kick: false,
      };
    }
  
    /**
     * Initialize for new round
     * @param {boolean} isPlayer2Serve will player on the right side serve on this new round?
+    * @param {FieldConfig} [field] see "field" of {@link PikaPhysics}
     */
-   initializeForNewRound(isPlayer2Serve) {
+   initializeForNewRound(isPlayer2Serve, field = DEFAULT_FIELD) {
        /** @type {number} x coord */
-       this.x = GROUND_WIDTH / 2; // 0x30    // initialized to the middle of the ground
+       this.x = field.width / 2; // 0x30    // initialized to the middle of the ground
        /** @type {number} y coord */
        this.y = VIEWPORT_HEIGHT - 168; // 0x34   // initialized to 168 blocks above the bottom of the screen
        /** @type {number} x direction velocity */
@@ -318,45 +915,51 @@
   * FUN_00403dd0
   * This is the Pikachu Volleyball physics engine!
   * This physics engine calculates and set the physics values for the next frame.
+  * It runs for all the players on the field, two players or four players of a team match.
   *
-  * @param {Player} player1 player on the left side
-  * @param {Player} player2 player on the right side
+  * @param {Player[]} players players on the field (see {@link PikaPhysics#players})
   * @param {Ball} ball ball
-  * @param {PikaUserInput[]} userInputArray userInputArray[0]: user input for player 1, userInputArray[1]: user input for player 2
+  * @param {PikaUserInput[]} userInputArray userInputArray[i]: user input for players[i]
+  * @param {{width: number, height: number}} goalkeeperArea see "goalkeeperArea" of {@link PikaPhysics}
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
   * @return {boolean} Is ball tounching ground?
   */
- function physicsEngine(player1, player2, ball, userInputArray) {
+ function physicsEngine(players, ball, userInputArray, goalkeeperArea, field) {
    const isBallTouchingGround = processCollisionBetweenBallAndWorldAndSetBallPosition(
-     ball
+     ball,
+     field
    );
  
    if(isBallTouchingGround) {
      ball.thrower = 0;
    }
  
-   let player;
-   let theOtherPlayer;
-   for (let i = 0; i < 2; i++) {
-     if (i === 0) {
-       player = player1;
-       theOtherPlayer = player2;
-     } else {
-       player = player2;
-       theOtherPlayer = player1;
-     }
+   for (let i = 0; i < players.length; i++) {
+     const player = players[i];
  
      // FUN_00402d90 ommited
      // FUN_00402810 ommited
      // this javascript code is refactored not to need above two function except for
      // a part of FUN_00402d90:
      // FUN_00402d90 include FUN_004031b0(caculate_expected_landing_point_x_for)
-     caculate_expected_landing_point_x_for(ball); // calculate expected_X;
+     caculate_expected_landing_point_x_for(ball, field); // calculate expected_X;
+ 
+     if (player.sentOffFramesLeft > 0) {
+       processSentOffPlayer(player, field);
+       continue;
+     }
+     if (player.isOnBench === true) {
+       continue;
+     }
  
      processPlayerMovementAndSetPlayerPosition(
        player,
        userInputArray[i],
-       theOtherPlayer,
-       ball
+       getOpponentClosestToBall(players, player, ball),
+       ball,
+       getTeammate(players, player),
+       goalkeeperArea,
+       field
      );
  
      // FUN_00402830 ommited
@@ -364,14 +967,21 @@
      // tow function ommited above maybe participates in graphic drawing for a player
    }
  
-   for (let i = 0; i < 2; i++) {
-     if (i === 0) {
-       player = player1;
-       theOtherPlayer = player2;
-     } else {
-       player = player2;
-       theOtherPlayer = player1;
-     }
+   // Check first which players newly touch the ball on this frame.
+   // The touches are processed in the order of the players, as in the original game,
+   // unless several players touch the ball at the same frame.
+   const isNewCollisionArray = players.map(() => false);
+   // The ball at rest which no one keeps is touched again by the players overlapping it,
+   // or else it would stay there forever. The dribbling player who has lost touch with the ball does not keep it.
+   const isBallLeftAtRest =
+     isBallAtRestOnGround(ball) &&
+     players.every(
+       (player) =>
+         player.holding === false &&
+         (player.isDribbling === false || player.isCollisionWithBallHappened === false)
+     );
+   for (let i = 0; i < players.length; i++) {
+     const player = players[i];
  
      // FUN_00402810 ommited: this javascript code is refactored not to need this function
  
@@ -383,74 +993,167 @@
        player.state
      );
      if (is_happend === true) {
-       if (player.isCollisionWithBallHappened === false) {
-         if(player.isComputer && !theOtherPlayer.holding && (ball.thrower !== 2 - i || rand() % 3 > 0)) {
-           ball.thrower = 0;
-           ball.isPowerHit = true;
-           player.holding = true;
-         } else {
-           /*if (player.state === 2) {
-             if(ball.thrower === 2 - i && player.delayBeforeNextFrame <= 5) {
-               ball.sound.ballTouchesGround = true;
-             } else if (!theOtherPlayer.holding) {
-               ball.thrower = 0;
-               ball.isPowerHit = true;
-               player.holding = true;
-             }
-           } else {*/
-             processCollisionBetweenBallAndPlayer(
-               ball,
-               player.x,
-               userInputArray[i],
-               player.state,
-               player.isPlayer2
-             );
-             if(ball.thrower === 2 - i) {
-               ball.sound.ballTouchesGround = true;
-             }
-           //}
-         }
-         player.isCollisionWithBallHappened = true;
-       }
+       isNewCollisionArray[i] =
+         player.isCollisionWithBallHappened === false || isBallLeftAtRest;
+       player.isCollisionWithBallHappened = true;
      } else {
        player.isCollisionWithBallHappened = false;
      }
+   }
+   let takers = [];
+   for (let i = 0; i < players.length; i++) {
+     if (isNewCollisionArray[i] === true) {
+       takers.push(i);
+     }
+   }
+   if (takers.length > 1) {
+     // Several players touch the ball at the same frame, which is common when the players of both teams
+     // chase the ball. Processed in order, the last player (player 2 or its teammate) would always take the ball,
+     // so the power hitting player takes it, or if not decided, a random one takes it.
+     const powerHitters = takers.filter((i) => players[i].state === 2);
+     if (powerHitters.length > 0) {
+       takers = powerHitters;
+     }
+     while (takers.length > 1) {
+       takers.splice(rand() % takers.length, 1);
+     }
+     for (let i = 0; i < players.length; i++) {
+       isNewCollisionArray[i] = i === takers[0];
+     }
+   }
+ 
+   // Only a slide tackle takes the ball held by the goalkeeper. The other touches of the ball are ignored.
+   const holder = players.find((player) => player.holding === true);
+   if (holder !== undefined) {
+     for (let i = 0; i < players.length; i++) {
+       if (players[i] !== holder && players[i].state !== 3) {
+         isNewCollisionArray[i] = false;
+       }
+     }
+   }
+ 
+   for (let i = 0; i < players.length; i++) {
+     const player = players[i];
+ 
+     if (player.isDribbling === true && isDribbleKept(player, ball) === false) {
+       releaseDribble(player, ball, field);
+     }
+ 
+     if (isNewCollisionArray[i] === true) {
+       // the ball is taken from the other player who is dribbling it
+       for (const theOtherPlayer of players) {
+         if (theOtherPlayer !== player) {
+           theOtherPlayer.isDribbling = false;
+         }
+       }
+       if (isCatchable(player, ball, goalkeeperArea, field)) {
+         catchBall(player, ball);
+       } else if (player.isDribbling === false && isDribbleStartable(player, ball)) {
+         player.isDribbling = true;
+         player.dribbleDirection = ball.x < player.x ? -1 : 1;
+       }
+     }
+ 
+     if (isNewCollisionArray[i] === true && player.isDribbling === false && player.holding === false) {
+       processCollisionBetweenBallAndPlayer(
+         ball,
+         player.x,
+         userInputArray[i],
+         player.state,
+         player.isPlayer2,
+         player.isPenaltyShooter,
+         player.releasedPowerHitCharge,
+         getContactZone(ball, player),
+         player.xVelocity,
+         field
+       );
+       if(ball.thrower === (player.isPlayer2 ? 1 : 2)) {
+         ball.sound.ballTouchesGround = true;
+       }
+       if (player.state === 3) {
+         knockBallAwayBySlideTackle(player, players, ball, field);
+       }
+     }
  
-     if(player.holding && i === 0) {
+     if (player.isDribbling === true) {
+       processDribble(player, ball, field);
+     }
+ 
+     // the ball held by the goalkeeper moves with the hands
+     if(player.holding && player.isPlayer2 === false) {
          ball.x = player.x + 20;
          ball.y = player.y;
-         ball.xVelocity = 5;
+         ball.xVelocity = 0;
          ball.yVelocity = 0;
-         ball.isPowerHit = true;
+         ball.isPowerHit = false;
      }
-     if(player.holding && i === 1) {
+     if(player.holding && player.isPlayer2 === true) {
          ball.x = player.x - 20;
          ball.y = player.y;
-         ball.xVelocity = -5;
+         ball.xVelocity = 0;
          ball.yVelocity = 0;
-         ball.isPowerHit = true;
+         ball.isPowerHit = false;
      }
    }
  
-   if (isCollisionBetweenPlayers(player1, player2)) {
-       processCollisionBetweenPlayers(player1, player2)
+   // Every pair of the players may collide, but only the players on the different sides foul each other.
+   for (let i = 0; i < players.length; i++) {
+     for (let j = i + 1; j < players.length; j++) {
+       const player = players[i];
+       const theOtherPlayer = players[j];
+       if (isCollisionBetweenPlayers(player, theOtherPlayer)) {
+         if (player.isPlayer2 !== theOtherPlayer.isPlayer2) {
+           processSlideTackleFoul(player, theOtherPlayer);
+           processSlideTackleFoul(theOtherPlayer, player);
+         }
+         processCollisionBetweenPlayers(player, theOtherPlayer, field);
+       }
+     }
+   }
+   // the collision between players may push the keeper of a penalty kick out of the goal area
+   for (const player of players) {
+     if (player.isPenaltyKeeper === true) {
+       confinePenaltyKeeper(player, field);
+     }
    }
    // FUN_00403040
    // FUN_00406020
    // tow function ommited above maybe participates in graphic drawing for a ball
  
-   return isInGoalRange(ball);
+   return isInGoalRange(ball, field);
+ }
+ 
+ /**
+  * The player sent off by the referee stays off the field, out of reach of the ball and the other player,
+  * until the time of the send-off is up. Then the player comes back on its own goal line.
+  * @param {Player} player player who is sent off
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function processSentOffPlayer(player, field) {
+   player.sentOffFramesLeft -= 1;
+   if (player.sentOffFramesLeft > 0) {
+     player.x = player.isPlayer2 ? field.width + PLAYER_LENGTH : -PLAYER_LENGTH;
+   } else {
+     player.x = player.isPlayer2 ? field.width - field.goalDepth : field.goalDepth;
+   }
+   player.y = PLAYER_TOUCHING_GROUND_Y_COORD;
+   player.yVelocity = 0;
+   player.state = 0;
+   player.frameNumber = 0;
+   player.powerHitCharge = 0;
  }
  
  /**
   * Function for checking whether the ball is inside the goal or not
   * @param { Ball } ball ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
   */
- function isInGoalRange(ball) {
-     if (ball.y > GOAL_TOP_Y_COORD) {
-         if (ball.x > GROUND_WIDTH - GOAL_TOP_WIDTH + BALL_RADIUS) {
+ function isInGoalRange(ball, field) {
+     const crossbarY = getCrossbarYCoord(field);
+     if (ball.y > crossbarY) {
+         if (ball.x > field.width - field.goalDepth + BALL_RADIUS) {
              return 2;
-         } else if (ball.x < GOAL_TOP_WIDTH - BALL_RADIUS) {
+         } else if (ball.x < field.goalDepth - BALL_RADIUS) {
              return 1;
          } else {
              return 0;
@@ -461,51 +1164,135 @@
  }
  
  /**
-  * Function for checking whether the players have collided or not
-  * @param { Player } player1 player on the left side
-  * @param { Player } player2 player on the right side
+  * The player of the other side who is the closest to the ball, whom the computer keeps an eye on.
+  * In a match between two players, it is just the other player.
+  * @param {Player[]} players
+  * @param {Player} player
+  * @param {Ball} ball
+  * @return {Player}
   */
- function isCollisionBetweenPlayers(player1, player2) {
-     return (Math.abs((player1.x + 8) - (player2.x - 8)) < (2 * PLAYER_HALF_LENGTH_X) && Math.abs(player1.y - player2.y) < (2 * PLAYER_HALF_LENGTH_Y));
+ function getOpponentClosestToBall(players, player, ball) {
+   let opponent = null;
+   for (const theOtherPlayer of players) {
+     if (
+       theOtherPlayer.isPlayer2 !== player.isPlayer2 &&
+       (opponent === null || Math.abs(theOtherPlayer.x - ball.x) < Math.abs(opponent.x - ball.x))
+     ) {
+       opponent = theOtherPlayer;
+     }
+   }
+   return opponent;
  }
  
  /**
-  * Function for processing how to deal with player collisions
-  * @param { Player } player1 player on the left side
-  * @param { Player } player2 player on the right side
+  * The teammate of the player in a team match
+  * @param {Player[]} players
+  * @param {Player} player
+  * @return {Player} null if the player has no teammate
   */
- function processCollisionBetweenPlayers(player1, player2) {
-     if (2 * Math.abs((player1.x + 8) - (player2.x - 8)) + 1 > Math.abs(player1.y - player2.y)) {
-         let playerLeft;
-         let playerRight;
-         const avgX = Math.floor((player1.x + player2.x) / 2);
-         if ((player1.x + 8) < (player2.x - 8) + 1) {
-             playerLeft = player1;
-             playerRight = player2;
-         } else {
-             playerLeft = player2;
-             playerRight = player1;
-         }
+ function getTeammate(players, player) {
+   for (const theOtherPlayer of players) {
+     if (theOtherPlayer !== player && theOtherPlayer.isPlayer2 === player.isPlayer2) {
+       return theOtherPlayer;
+     }
+   }
+   return null;
+ }
+ 
+ /**
+  * x coord of the center of the body of the player, which leans toward the goal of the other side
+  * @param {Player} player
+  * @return {number}
+  */
+ function getBodyCenterX(player) {
+   return player.isPlayer2 ? player.x - 8 : player.x + 8;
+ }
+ 
+ /**
+  * Function for checking whether the players have collided or not
+  * @param { Player } player1 one of the players (the player on the left side in a match between two players)
+  * @param { Player } player2 the other player
+  */
+ function isCollisionBetweenPlayers(player1, player2) {
+     return (Math.abs(getBodyCenterX(player1) - getBodyCenterX(player2)) < (2 * PLAYER_HALF_LENGTH_X) && Math.abs(player1.y - player2.y) < (2 * PLAYER_HALF_LENGTH_Y));
+ }
+ 
+ /**
+  * If the player's slide tackle hits the other player on the ground before the ball, it is a foul:
+  * the other player is knocked down and the player is flagged by foulContact.
+  * @param {Player} player player who may be slide tackling
+  * @param {Player} theOtherPlayer player who is hit by the slide tackle
+  */
+ function processSlideTackleFoul(player, theOtherPlayer) {
+   if (
+     player.state !== 3 ||
+     player.slideTackleContact !== 0 ||
+     theOtherPlayer.y !== PLAYER_TOUCHING_GROUND_Y_COORD ||
+     theOtherPlayer.state === 3 ||
+     theOtherPlayer.state === 4
+   ) {
+     return;
+   }
+   player.slideTackleContact = -1;
+   knockDownByFoul(player, theOtherPlayer, FOUL_CONTACT.SLIDE_TACKLE);
+ }
+ 
+ /**
+  * Flag the foul on the player, and knock down the other player
+  * @param {Player} player player who fouls
+  * @param {Player} theOtherPlayer player who is fouled
+  * @param {number} foulContact one of {@link FOUL_CONTACT}
+  */
+ function knockDownByFoul(player, theOtherPlayer, foulContact) {
+   player.foulContact = foulContact;
+   theOtherPlayer.state = 4;
+   theOtherPlayer.frameNumber = 0;
+   theOtherPlayer.divingDirection = player.x < theOtherPlayer.x ? 1 : -1;
+   theOtherPlayer.lyingDownDurationLeft = 3;
+   theOtherPlayer.powerHitOnGround = -1;
+   theOtherPlayer.holding = false;
+ }
+ 
+ /**
+  * Function for processing how to deal with player collisions
+  * @param { Player } player1 one of the players (the player on the left side in a match between two players)
+  * @param { Player } player2 the other player
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function processCollisionBetweenPlayers(player1, player2, field) {
+     const crossbarY = getCrossbarYCoord(field);
+     const crossbarHalfThickness = field.crossbarThickness / 2;
+     if (2 * Math.abs(getBodyCenterX(player1) - getBodyCenterX(player2)) + 1 > Math.abs(player1.y - player2.y)) {
+         let playerLeft;
+         let playerRight;
+         const avgX = Math.floor((player1.x + player2.x) / 2);
+         if (getBodyCenterX(player1) < getBodyCenterX(player2) + 1) {
+             playerLeft = player1;
+             playerRight = player2;
+         } else {
+             playerLeft = player2;
+             playerRight = player1;
+         }
          playerLeft.x = avgX - PLAYER_HALF_LENGTH_X + (playerLeft.isPlayer2 ? 8 : -8);
          playerRight.x = avgX + PLAYER_HALF_LENGTH_X + (playerRight.isPlayer2 ? 8 : -8);
          if (playerLeft.x < PLAYER_HALF_LENGTH) {
              playerLeft.x = PLAYER_HALF_LENGTH;
-             playerRight.x = PLAYER_HALF_LENGTH + 2 * PLAYER_HALF_LENGTH_X + 2 * (playerRight.isPlayer2 ? 8 : -8);
+             playerRight.x = getBodyCenterX(playerLeft) + 2 * PLAYER_HALF_LENGTH_X + (playerRight.isPlayer2 ? 8 : -8);
              player1.xVelocity = 0;
              player2.xVelocity = 0;
-         } else if (playerRight.x > GROUND_WIDTH - PLAYER_HALF_LENGTH) {
-             playerLeft.x = GROUND_WIDTH - PLAYER_HALF_LENGTH - 2 * PLAYER_HALF_LENGTH_X + 2 * (playerLeft.isPlayer2 ? 8 : -8);
-             playerRight.x = GROUND_WIDTH - PLAYER_HALF_LENGTH;
+         } else if (playerRight.x > field.width - PLAYER_HALF_LENGTH) {
+             playerRight.x = field.width - PLAYER_HALF_LENGTH;
+             playerLeft.x = getBodyCenterX(playerRight) - 2 * PLAYER_HALF_LENGTH_X + (playerLeft.isPlayer2 ? 8 : -8);
              player1.xVelocity = 0;
              player2.xVelocity = 0;
-         } else if (Math.abs(playerLeft.y - GOAL_TOP_Y_COORD) < (PLAYER_HALF_LENGTH_Y + GOAL_TOP_HALF_HEIGHT) && playerLeft.x < (GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X)) {
-             playerLeft.x = GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X;
-             playerRight.x = GOAL_TOP_WIDTH + 3 * PLAYER_HALF_LENGTH_X + 2 * (playerRight.isPlayer2 ? 8 : -8);
+         } else if (Math.abs(playerLeft.y - crossbarY) < (PLAYER_HALF_LENGTH_Y + crossbarHalfThickness) && playerLeft.x < (field.goalDepth + PLAYER_HALF_LENGTH_X)) {
+             playerLeft.x = field.goalDepth + PLAYER_HALF_LENGTH_X;
+             playerRight.x = getBodyCenterX(playerLeft) + 2 * PLAYER_HALF_LENGTH_X + (playerRight.isPlayer2 ? 8 : -8);
              player1.xVelocity = 0;
              player2.xVelocity = 0;
-         } else if (Math.abs(playerRight.y - GOAL_TOP_Y_COORD) < (PLAYER_HALF_LENGTH_Y + GOAL_TOP_HALF_HEIGHT) && playerRight.x > (GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X)) {
-             playerLeft.x = GROUND_WIDTH - GOAL_TOP_WIDTH - 3 * PLAYER_HALF_LENGTH_X + 2 * (playerLeft.isPlayer2 ? 8 : -8);
-             playerRight.x = GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X;
+         } else if (Math.abs(playerRight.y - crossbarY) < (PLAYER_HALF_LENGTH_Y + crossbarHalfThickness) && playerRight.x > (field.width - field.goalDepth - PLAYER_HALF_LENGTH_X)) {
+             playerRight.x = field.width - field.goalDepth - PLAYER_HALF_LENGTH_X;
+             playerLeft.x = getBodyCenterX(playerRight) - 2 * PLAYER_HALF_LENGTH_X + (playerLeft.isPlayer2 ? 8 : -8);
              player1.xVelocity = 0;
              player2.xVelocity = 0;
          }
@@ -520,6 +1307,15 @@
              playerTop = player2;
              playerBottom = player1;
          }
+         if (
+             playerTop.state === 7 &&
+             playerTop.isPlayer2 !== playerBottom.isPlayer2 &&
+             playerBottom.y === PLAYER_TOUCHING_GROUND_Y_COORD &&
+             playerBottom.state !== 4
+         ) {
+             // stomping on the other player by falling from above
+             knockDownByFoul(playerTop, playerBottom, FOUL_CONTACT.STOMP);
+         }
          playerTop.y = avgY - PLAYER_HALF_LENGTH_Y;
          playerBottom.y = avgY + PLAYER_HALF_LENGTH_Y;
          if (playerTop.state === 3 || playerTop.state === 7) {
@@ -536,19 +1332,19 @@
              player1.yVelocity = 0;
              player2.yVelocity = 0;
          } else if (
-             (playerTop.x < (GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X) || playerTop.x > (GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X))
-             && playerTop.y > (GOAL_TOP_Y_COORD) && playerTop.y < (GOAL_TOP_Y_COORD + GOAL_TOP_HALF_HEIGHT + PLAYER_HALF_LENGTH_Y)
+             (playerTop.x < (field.goalDepth + PLAYER_HALF_LENGTH_X) || playerTop.x > (field.width - field.goalDepth - PLAYER_HALF_LENGTH_X))
+             && playerTop.y > (crossbarY) && playerTop.y < (crossbarY + crossbarHalfThickness + PLAYER_HALF_LENGTH_Y)
          ) {
-             playerTop.y = GOAL_TOP_Y_COORD + GOAL_TOP_HALF_HEIGHT + PLAYER_HALF_LENGTH_Y;
-             playerBottom.y = GOAL_TOP_Y_COORD + GOAL_TOP_HALF_HEIGHT + 3 * PLAYER_HALF_LENGTH_Y;
+             playerTop.y = crossbarY + crossbarHalfThickness + PLAYER_HALF_LENGTH_Y;
+             playerBottom.y = crossbarY + crossbarHalfThickness + 3 * PLAYER_HALF_LENGTH_Y;
              player1.yVelocity = 0;
              player2.yVelocity = 0;
          } else if (
-             (playerBottom.x < (GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X) || playerBottom.x > (GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X))
-             && playerBottom.y < (GOAL_TOP_Y_COORD) && playerBottom.y > (GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - PLAYER_HALF_LENGTH_Y)
+             (playerBottom.x < (field.goalDepth + PLAYER_HALF_LENGTH_X) || playerBottom.x > (field.width - field.goalDepth - PLAYER_HALF_LENGTH_X))
+             && playerBottom.y < (crossbarY) && playerBottom.y > (crossbarY - crossbarHalfThickness - PLAYER_HALF_LENGTH_Y)
          ) {
-             playerTop.y = GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - 3 * PLAYER_HALF_LENGTH_Y;
-             playerBottom.y = GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - PLAYER_HALF_LENGTH_Y;
+             playerTop.y = crossbarY - crossbarHalfThickness - 3 * PLAYER_HALF_LENGTH_Y;
+             playerBottom.y = crossbarY - crossbarHalfThickness - PLAYER_HALF_LENGTH_Y;
              player1.yVelocity = 0;
              player2.yVelocity = 0;
          }
@@ -600,9 +1396,12 @@
   * FUN_00402dc0
   * Process collision between ball and world and set ball position
   * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
   * @return {boolean} Is ball touching ground?
   */
- function processCollisionBetweenBallAndWorldAndSetBallPosition(ball) {
+ function processCollisionBetweenBallAndWorldAndSetBallPosition(ball, field) {
+   const crossbarY = getCrossbarYCoord(field);
+   const crossbarHalfThickness = field.crossbarThickness / 2;
    // This is not part of this function in the original assembly code.
    // In the original assembly code, it is processed in other function (FUN_00402ee0)
    // But it is proper to process here.
@@ -639,7 +1438,7 @@
      If apply (futureBallX > (GROUND_WIDTH - BALL_RADIUS)), and if the maximum number of loop is not limited,
      it is observed that inifinite loop in the function expectedLandingPointXWhenPowerHit does not terminate.
    */
-   if (futureBallX < BALL_RADIUS || futureBallX > GROUND_WIDTH - BALL_RADIUS) {
+   if (futureBallX < BALL_RADIUS || futureBallX > field.width - BALL_RADIUS) {
      ball.xVelocity = -ball.xVelocity * 0.6;
    }
  
@@ -688,23 +1487,23 @@
    }
  
    // if ball touches goal top
-   if (Math.abs(futureBallY - GOAL_TOP_Y_COORD) < GOAL_TOP_HALF_HEIGHT + BALL_RADIUS) {
-       if (futureBallX < (GOAL_TOP_WIDTH + Math.abs(futureBallY - GOAL_TOP_Y_COORD) - GOAL_TOP_HALF_HEIGHT) || futureBallX > (GROUND_WIDTH - GOAL_TOP_WIDTH - Math.abs(futureBallY - GOAL_TOP_Y_COORD) + GOAL_TOP_HALF_HEIGHT)) {
-           if (futureBallY < GOAL_TOP_Y_COORD) {
+   if (Math.abs(futureBallY - crossbarY) < crossbarHalfThickness + BALL_RADIUS) {
+       if (futureBallX < (field.goalDepth + Math.abs(futureBallY - crossbarY) - crossbarHalfThickness) || futureBallX > (field.width - field.goalDepth - Math.abs(futureBallY - crossbarY) + crossbarHalfThickness)) {
+           if (futureBallY < crossbarY) {
                ball.yVelocity = - 0.6 * Math.abs(ball.yVelocity);
-               futureBallY = GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - BALL_RADIUS;
+               futureBallY = crossbarY - crossbarHalfThickness - BALL_RADIUS;
                ball.punchEffectX = ball.x;
-               ball.punchEffectY = GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT;
+               ball.punchEffectY = crossbarY - crossbarHalfThickness;
            } else {
                ball.yVelocity = 0.6 * Math.abs(ball.yVelocity);
-               futureBallY = GOAL_TOP_Y_COORD + GOAL_TOP_HALF_HEIGHT + BALL_RADIUS;
+               futureBallY = crossbarY + crossbarHalfThickness + BALL_RADIUS;
                ball.punchEffectX = ball.x;
-               ball.punchEffectY = GOAL_TOP_Y_COORD + GOAL_TOP_HALF_HEIGHT;
+               ball.punchEffectY = crossbarY + crossbarHalfThickness;
            }
        } else {
-           if (futureBallX < GOAL_TOP_WIDTH + BALL_RADIUS) {
+           if (futureBallX < field.goalDepth + BALL_RADIUS) {
                ball.xVelocity = 0.8 * Math.abs(ball.xVelocity); + 0.2 * ball.xVelocity;
-           } else if (ball.x > GROUND_WIDTH - GOAL_TOP_WIDTH - BALL_RADIUS) {
+           } else if (ball.x > field.width - field.goalDepth - BALL_RADIUS) {
                ball.xVelocity = - 0.8 * Math.abs(ball.xVelocity) + 0.2 * ball.xVelocity;
            }
        }
@@ -725,25 +1524,36 @@
   * @param {PikaUserInput} userInput
   * @param {Player} theOtherPlayer
   * @param {Ball} ball
+  * @param {Player} [teammate] teammate of the player in a team match, null if there is none
+  * @param {{width: number, height: number}} [goalkeeperArea] see "goalkeeperArea" of {@link PikaPhysics}
+  * @param {FieldConfig} [field] see "field" of {@link PikaPhysics}
   */
  function processPlayerMovementAndSetPlayerPosition(
    player,
    userInput,
    theOtherPlayer,
-   ball
+   ball,
+   teammate = null,
+   goalkeeperArea = null,
+   field = DEFAULT_FIELD
  ) {
+   const crossbarY = getCrossbarYCoord(field);
+   const crossbarHalfThickness = field.crossbarThickness / 2;
    if (player.isComputer === true) {
-     letComputerDecideUserInput(player, ball, theOtherPlayer, userInput);
+     letComputerDecideUserInput(player, ball, theOtherPlayer, userInput, teammate, goalkeeperArea, field);
    }
  
+   // The goalkeeper holding the ball releases it by the power hit key: a punt, or a throw with the down-direction input.
+   // The ball slips from the hands as a throw when the goalkeeper holds it too long.
+   let isBallReleased = false;
    if (player.holding) {
      if (player.holdingFrame === -128) {
        player.holdingFrame = 1;
+     } else if (userInput.powerHit === 1) {
+       releaseHeldBall(player, ball, userInput.yDirection !== 1, field);
+       isBallReleased = true;
      } else if (player.holdingFrame <= 0) {
-         player.holding = false;
-         ball.isPowerHit = true;
-         ball.xVelocity = (player.isPlayer2 ? -12 : 12);
-         ball.yVelocity = - 5
+       releaseHeldBall(player, ball, false, field);
      } else {
        player.holdingFrame -= 1;
      }
@@ -757,6 +1567,7 @@
  
    // if player is lying down.. don't move
    if (player.state === 4) {
+     player.xVelocity = 0;
      player.lyingDownDurationLeft += -1;
      if (player.lyingDownDurationLeft < -1) {
        player.state = 0;
@@ -777,12 +1588,13 @@
  
    const futurePlayerX = player.x + playerVelocityX;
    player.x = futurePlayerX;
+   player.xVelocity = playerVelocityX;
  
    // process player's x-direction world boundary
    if (futurePlayerX < PLAYER_HALF_LENGTH) {
        player.x = PLAYER_HALF_LENGTH;
-   } else if (futurePlayerX > GROUND_WIDTH - PLAYER_HALF_LENGTH) {
-       player.x = GROUND_WIDTH - PLAYER_HALF_LENGTH;
+   } else if (futurePlayerX > field.width - PLAYER_HALF_LENGTH) {
+       player.x = field.width - PLAYER_HALF_LENGTH;
    }
  
    // jump
@@ -790,7 +1602,7 @@
        player.state < 3 &&
        userInput.yDirection === -1 && // up-direction input
        player.yVelocity === 0 &&
-       (player.y === PLAYER_TOUCHING_GROUND_Y_COORD || player.y === (GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - PLAYER_HALF_LENGTH_Y)) // player is touching on the ground
+       (player.y === PLAYER_TOUCHING_GROUND_Y_COORD || player.y === (crossbarY - crossbarHalfThickness - PLAYER_HALF_LENGTH_Y)) // player is touching on the ground
    ) {
      player.yVelocity = -16;
      player.state = 1;
@@ -803,10 +1615,13 @@
    }
  
    // fall
+   // The down-direction input with the power hit key aims a downward power hit instead.
    if (
      player.state < 3 &&
      userInput.yDirection === 1 &&
-     player.y !== PLAYER_TOUCHING_GROUND_Y_COORD && player.y !== (GOAL_TOP_Y_COORD - GOAL_TOP_HALF_HEIGHT - PLAYER_HALF_LENGTH_Y)
+     userInput.powerHit !== 1 &&
+     player.powerHitCharge === 0 &&
+     player.y !== PLAYER_TOUCHING_GROUND_Y_COORD && player.y !== (crossbarY - crossbarHalfThickness - PLAYER_HALF_LENGTH_Y)
    ) {
      player.yVelocity = 12;
      player.state = 7;
@@ -843,11 +1658,11 @@
    }
  
    // interaction with goal top
-   if (Math.abs(player.y - GOAL_TOP_Y_COORD) < GOAL_TOP_HALF_HEIGHT + PLAYER_HALF_LENGTH_Y) {
-       if (player.x + (player.isPlayer2 ? -8 : 8) < (GOAL_TOP_WIDTH + 0.5 * Math.abs(player.y - GOAL_TOP_Y_COORD) - 0.5 * GOAL_TOP_HALF_HEIGHT) || player.x + (player.isPlayer2 ? -8 : 8) > (GROUND_WIDTH - GOAL_TOP_WIDTH - 0.5 * Math.abs(player.y - GOAL_TOP_Y_COORD) + 0.5 * GOAL_TOP_HALF_HEIGHT)) {
-           if (player.y < GOAL_TOP_Y_COORD) {
+   if (Math.abs(player.y - crossbarY) < crossbarHalfThickness + PLAYER_HALF_LENGTH_Y) {
+       if (player.x + (player.isPlayer2 ? -8 : 8) < (field.goalDepth + 0.5 * Math.abs(player.y - crossbarY) - 0.5 * crossbarHalfThickness) || player.x + (player.isPlayer2 ? -8 : 8) > (field.width - field.goalDepth - 0.5 * Math.abs(player.y - crossbarY) + 0.5 * crossbarHalfThickness)) {
+           if (player.y < crossbarY) {
                player.yVelocity = 0.4 * player.yVelocity - 0.4 * Math.abs(player.yVelocity);
-               player.y = GOAL_TOP_Y_COORD - PLAYER_HALF_LENGTH_Y - GOAL_TOP_HALF_HEIGHT;
+               player.y = crossbarY - PLAYER_HALF_LENGTH_Y - crossbarHalfThickness;
                player.powerHitOnGround = -1;
                if (player.state === 3 || player.state === 7) {
                    player.state = 4;
@@ -859,21 +1674,57 @@
                }
            } else {
                player.yVelocity = 0.4 * player.yVelocity + 0.6 * Math.abs(player.yVelocity);
-               player.y = GOAL_TOP_Y_COORD + PLAYER_HALF_LENGTH_Y + GOAL_TOP_HALF_HEIGHT;
+               player.y = crossbarY + PLAYER_HALF_LENGTH_Y + crossbarHalfThickness;
            }
        } else {
            player.xVelocity = 0;
-           if (player.x < GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8)) {
-               player.x = GOAL_TOP_WIDTH + PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8);
-           } else if (player.x > GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8)) {
-               player.x = GROUND_WIDTH - GOAL_TOP_WIDTH - PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8);
+           if (player.x < field.goalDepth + PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8)) {
+               player.x = field.goalDepth + PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8);
+           } else if (player.x > field.width - field.goalDepth - PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8)) {
+               player.x = field.width - field.goalDepth - PLAYER_HALF_LENGTH_X - (player.isPlayer2 ? -8 : 8);
            }
        }
    }
+ 
+   if (player.isPenaltyKeeper === true) {
+     confinePenaltyKeeper(player, field);
+   }
+   if (player.holding === true && goalkeeperArea !== null) {
+     confineGoalkeeperHoldingBall(player, goalkeeperArea, field);
+   }
   
-   if (userInput.powerHit === 1) {
+   if (userInput.powerHit === 1 && isBallReleased === false) {
      if (player.state === 1 || (player.state === 0 && userInput.xDirection === 0)) {
        // if player is jumping..
+       // then player starts to charge a power hit, which is fired when the power hit key is released below
+       player.powerHitCharge = 1;
+     } else if (player.state === 0 && userInput.xDirection !== 0) {
+       // then player do slide tackle!
+       // It is the diving of the original game, but along the ground:
+       // the player lands (and lies down) when powerHitOnGround counts down to 0.
+       player.state = 3;
+       player.frameNumber = 0;
+       player.divingDirection = userInput.xDirection;
+       player.powerHitOnGround = SLIDE_TACKLE_FRAMES;
+       player.slideTackleContact = 0;
+       // maybe-stereo-sound function FUN_00408470 (0x90) ommited:
+       // refer a detailed comment above about this function
+       // maybe-sound code function (playerpointer + 0x90 + 0x10)? ommited
+       player.sound.chu = true;
+     }
+   }
+ 
+   // charge-up power hit: holding the power hit key builds up a charge,
+   // and releasing the key fires a power hit whose speed scales with the charge.
+   // A tap (the key released within the same frame, as the computer does) fires a power hit at once.
+   if (player.powerHitCharge > 0 && userInput.powerKeyDown === true) {
+     if (player.state === 0 || player.state === 1) {
+       player.powerHitCharge = Math.min(player.powerHitCharge + 1, POWER_HIT_CHARGE_MAX_FRAMES);
+     }
+   } else if (player.powerHitCharge > 0) {
+     // The power hit is fired on the ground or in the air, where it was charged,
+     // with the direction input at the release as its aim.
+     if (player.state === 0 || player.state === 1) {
        // then player do power hit!
        player.delayBeforeNextFrame = 8;
        if (player.state === 0) {
@@ -881,38 +1732,17 @@
        }
        player.frameNumber = 0;
        player.state = 2;
+       // a short press is a power hit by a tap
+       player.releasedPowerHitCharge =
+         player.powerHitCharge >= POWER_HIT_CHARGE_MIN_FRAMES ? player.powerHitCharge : 0;
        // maybe-sound function (playerpointer + 0x90 + 0x18)? ommited
        // maybe-stereo-sound function FUN_00408470 (0x90) ommited:
        // refer a detailed comment above about this function
        // maybe-sound function (playerpointer + 0x90 + 0x14)? ommited
        player.sound.pika = true;
-     } /*else if (player.state === 0 && userInput.xDirection !== 0) {
-       // then player do diving!
-       player.state = 3;
-       player.frameNumber = 0;
-       player.divingDirection = userInput.xDirection;
-       player.yVelocity = -5;
-       // maybe-stereo-sound function FUN_00408470 (0x90) ommited:
-       // refer a detailed comment above about this function
-       // maybe-sound code function (playerpointer + 0x90 + 0x10)? ommited
-       player.sound.chu = true;
-     }*/
-   }
- 
-   /*if(player.state === -1) {
-     //console.log(userInput.powerKeyDown);
-     if(userInput.powerKeyDown === false) {
-       player.state = 2;
-       player.frameNumber = 0;
-       ball.thrower = player.isPlayer2 ? 2 : 1;
-       processCollisionBetweenBallAndPlayer(
-         ball,
-         player.x,
-         userInput,
-         player.state
-       );
      }
-   }*/
+     player.powerHitCharge = 0;
+   }
  
    /* Throwing code for volleyball / dodgeball; not used in soccer
    if (player.holding) {
@@ -980,6 +1810,43 @@
      
  }
  
+ /**
+  * Keep the keeper of a penalty kick in its goal area: under the goal top and near its own goal line
+  * @param {Player} player
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function confinePenaltyKeeper(player, field) {
+   const crossbarY = getCrossbarYCoord(field);
+   const crossbarHalfThickness = field.crossbarThickness / 2;
+   const minY = crossbarY + crossbarHalfThickness + PLAYER_HALF_LENGTH_Y;
+   if (player.y < minY) {
+     player.y = minY;
+     player.yVelocity = Math.max(player.yVelocity, 0);
+   }
+   const maxDistanceFromWall = field.goalDepth + PENALTY_GOAL_AREA_WIDTH;
+   if (player.isPlayer2 === false && player.x > maxDistanceFromWall) {
+     player.x = maxDistanceFromWall;
+   } else if (player.isPlayer2 === true && player.x < field.width - maxDistanceFromWall) {
+     player.x = field.width - maxDistanceFromWall;
+   }
+ }
+ 
+ /**
+  * Keep the goalkeeper holding the ball in the goalkeeper area: the hands may hold the ball only in it
+  * @param {Player} player
+  * @param {{width: number, height: number}} goalkeeperArea see "goalkeeperArea" of {@link PikaPhysics}
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function confineGoalkeeperHoldingBall(player, goalkeeperArea, field) {
+   // the ball is held 20 in front of the player (see physicsEngine)
+   const maxDistanceFromWall = goalkeeperArea.width - 20;
+   if (player.isPlayer2 === false && player.x > maxDistanceFromWall) {
+     player.x = maxDistanceFromWall;
+   } else if (player.isPlayer2 === true && player.x < field.width - maxDistanceFromWall) {
+     player.x = field.width - maxDistanceFromWall;
+   }
+ }
+ 
  /**
   * FUN_004025e0
   * Process game end frame (for winner and loser motions) for the given player
@@ -996,6 +1863,26 @@
  
  }
  
+ /**
+  * Which part of the body of the player the ball touches, by the height of the ball relative to the player.
+  * A sliding, lying or falling player (see {@link isCollisionBetweenBallAndPlayerHappened}) touches it as with the feet.
+  * @param {Ball} ball
+  * @param {Player} player
+  * @return {number} one of {@link CONTACT_ZONE}
+  */
+ function getContactZone(ball, player) {
+   if (player.state === 3 || player.state === 4 || player.state === 7) {
+     return CONTACT_ZONE.FEET;
+   }
+   const ballRelativeY = ball.y - player.y;
+   if (ballRelativeY < -PLAYER_HALF_LENGTH_Y) {
+     return CONTACT_ZONE.HEAD;
+   } else if (ballRelativeY < FEET_CONTACT_RELATIVE_Y) {
+     return CONTACT_ZONE.BODY;
+   }
+   return CONTACT_ZONE.FEET;
+ }
+ 
  /**
   * FUN_004030a0
   * Process collision between ball and player.
@@ -1003,17 +1890,32 @@
   * This function does not set position of ball.
   * The ball position is set by {@link processCollisionBetweenBallAndWorldAndSetBallPosition} function
   *
+  * The response depends on the contact zone (see {@link CONTACT_ZONE}), unlike the original game.
+  * A header bounces the ball as before but redirects it to the direction in which the player moves,
+  * a chest trap deadens it to drop in front of the player, and only the feet can shoot it by the power hit.
+  *
   * @param {Ball} ball
   * @param {Player["x"]} playerX
   * @param {PikaUserInput} userInput
   * @param {Player["state"]} playerState
+  * @param {Player["isPlayer2"]} isPlayer2
+  * @param {Player["isPenaltyShooter"]} [isPenaltyShooter]
+  * @param {Player["releasedPowerHitCharge"]} [powerHitCharge]
+  * @param {number} [contactZone] one of {@link CONTACT_ZONE}
+  * @param {Player["xVelocity"]} [playerXVelocity]
+  * @param {FieldConfig} [field] see "field" of {@link PikaPhysics}
   */
  function processCollisionBetweenBallAndPlayer(
    ball,
    playerX,
    userInput,
    playerState,
-   isPlayer2
+   isPlayer2,
+   isPenaltyShooter = false,
+   powerHitCharge = 0,
+   contactZone = CONTACT_ZONE.FEET,
+   playerXVelocity = 0,
+   field = DEFAULT_FIELD
  ) {
    // playerX is maybe pika's x position
    // if collision occur,
@@ -1039,17 +1941,35 @@
      ball.yVelocity = -15;
    }
  
-   // player is jumping and power hitting
-   if (playerState === 2) {
-     if (!isPlayer2) {
-       ball.xVelocity = 20; //(Math.abs(userInput.xDirection) + 1) * 10;
-     } else {
-       ball.xVelocity = -20; //-(Math.abs(userInput.xDirection) + 1) * 10;
+   if (contactZone === CONTACT_ZONE.HEAD) {
+     // header: the ball goes to the direction in which the player moves (or jumps)
+     if (playerXVelocity !== 0) {
+       ball.xVelocity = playerXVelocity > 0 ? HEADER_X_SPEED : -HEADER_X_SPEED;
      }
+     ball.sound.header = true;
+     ball.isPowerHit = true;
+   } else if (contactZone === CONTACT_ZONE.BODY) {
+     // chest trap: the ball is deadened to drop in front of the player
+     ball.xVelocity = ball.x < playerX ? -CHEST_TRAP_X_SPEED : CHEST_TRAP_X_SPEED;
+     ball.yVelocity = -CHEST_TRAP_Y_SPEED;
+     ball.sound.chestTrap = true;
+     ball.isPowerHit = true;
+   } else if (playerState === 2) {
+     // player is jumping and power hitting
+     const velocity = getPowerHitVelocity(
+       isPlayer2,
+       userInput.xDirection,
+       userInput.yDirection,
+       powerHitCharge
+     );
+     ball.xVelocity = velocity.xVelocity;
      ball.punchEffectX = ball.x;
      ball.punchEffectY = ball.y;
  
-     ball.yVelocity = 0; //Math.abs(ball.yVelocity) * userInput.yDirection * 2;
+     ball.yVelocity = velocity.yVelocity;
+     if (isPenaltyShooter === true) {
+       ball.yVelocity = PENALTY_SHOT_Y_VELOCITIES[userInput.yDirection + 1];
+     }
      ball.punchEffectRadius = BALL_RADIUS;
      // maybe-stereo-sound function FUN_00408470 (0x90) ommited:
      // refer a detailed comment above about this function
@@ -1058,19 +1978,260 @@
  
      ball.isPowerHit = true;
    } else {
+     ball.sound.kick = true;
      ball.isPowerHit = true;
    }
  
-   caculate_expected_landing_point_x_for(ball);
+   caculate_expected_landing_point_x_for(ball, field);
      
  }
  
+ /**
+  * The slide tackle which reaches the ball first knocks it away in the sliding direction,
+  * taking it from the other players even if one of them is holding it.
+  * @param {Player} player slide tackling player
+  * @param {Player[]} players all the players on the field
+  * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function knockBallAwayBySlideTackle(player, players, ball, field) {
+   if (player.slideTackleContact === 0) {
+     player.slideTackleContact = 1;
+   }
+   for (const theOtherPlayer of players) {
+     if (theOtherPlayer !== player) {
+       theOtherPlayer.holding = false;
+     }
+   }
+   ball.xVelocity = player.divingDirection * SLIDE_TACKLE_BALL_X_SPEED;
+   ball.yVelocity = -8;
+   caculate_expected_landing_point_x_for(ball, field);
+ }
+ 
+ /**
+  * Is the ball in the goalkeeper area in front of the goal which the player defends?
+  * @param {Player} player
+  * @param {Ball} ball
+  * @param {{width: number, height: number}} goalkeeperArea see "goalkeeperArea" of {@link PikaPhysics}, null if there is none
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  * @return {boolean}
+  */
+ function isBallInGoalkeeperArea(player, ball, goalkeeperArea, field) {
+   if (goalkeeperArea === null) {
+     return false;
+   }
+   const distanceFromOwnWall = player.isPlayer2 ? field.width - ball.x : ball.x;
+   return (
+     distanceFromOwnWall <= goalkeeperArea.width &&
+     ball.y >= BALL_TOUCHING_GROUND_Y_COORD - goalkeeperArea.height
+   );
+ }
+ 
+ /**
+  * Can the player, who newly touches the ball, catch it?
+  * The player should be the goalkeeper (not a forward of a team match nor the shooter of a penalty kick),
+  * standing or jumping without power hitting, and the ball should be in the goalkeeper area of the player.
+  * @param {Player} player
+  * @param {Ball} ball
+  * @param {{width: number, height: number}} goalkeeperArea see "goalkeeperArea" of {@link PikaPhysics}, null if there is none
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  * @return {boolean}
+  */
+ function isCatchable(player, ball, goalkeeperArea, field) {
+   return (
+     player.isForward === false &&
+     player.isPenaltyShooter === false &&
+     (player.state === 0 || player.state === 1) &&
+     isBallInGoalkeeperArea(player, ball, goalkeeperArea, field)
+   );
+ }
+ 
+ /**
+  * The goalkeeper catches the ball, and holds it for up to {@link GOALKEEPER_HOLD_MAX_FRAMES}
+  * @param {Player} player
+  * @param {Ball} ball
+  */
+ function catchBall(player, ball) {
+   player.holding = true;
+   player.holdingFrame = GOALKEEPER_HOLD_MAX_FRAMES;
+   player.isDribbling = false;
+   player.powerHitCharge = 0;
+   ball.sound.chestTrap = true;
+ }
+ 
+ /**
+  * The goalkeeper releases the ball held in the hands toward the goal of the other side
+  * @param {Player} player
+  * @param {Ball} ball
+  * @param {boolean} isPunt a high and long punt if true, a low throw otherwise
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function releaseHeldBall(player, ball, isPunt, field) {
+   const attackDirection = player.isPlayer2 ? -1 : 1;
+   player.holding = false;
+   player.holdingFrame = -128;
+   if (isPunt) {
+     ball.xVelocity = attackDirection * GOALKEEPER_PUNT_X_SPEED;
+     ball.yVelocity = GOALKEEPER_PUNT_Y_VELOCITY;
+     ball.isPowerHit = true;
+     ball.sound.kick = true;
+   } else {
+     ball.xVelocity = attackDirection * GOALKEEPER_THROW_X_SPEED;
+     ball.yVelocity = GOALKEEPER_THROW_Y_VELOCITY;
+   }
+   caculate_expected_landing_point_x_for(ball, field);
+ }
+ 
+ /**
+  * Can the player, who newly touches the ball, take it under control for a dribble?
+  * The player should be walking or standing on the ground, and the ball should be low
+  * and move slowly relative to the player. Otherwise, the ball bounces off the player as before.
+  * The shooter and the keeper of a penalty kick do not dribble.
+  * @param {Player} player
+  * @param {Ball} ball
+  * @return {boolean}
+  */
+ function isDribbleStartable(player, ball) {
+   return (
+     player.state === 0 &&
+     player.y === PLAYER_TOUCHING_GROUND_Y_COORD &&
+     player.isPenaltyShooter === false &&
+     player.isPenaltyKeeper === false &&
+     ball.y > player.y - PLAYER_HALF_LENGTH_Y &&
+     Math.abs(ball.yVelocity) <= DRIBBLE_MAX_BALL_Y_SPEED &&
+     Math.abs(ball.xVelocity - player.xVelocity) <= DRIBBLE_MAX_RELATIVE_SPEED
+   );
+ }
+ 
+ /**
+  * Has the ball come to rest on the ground? The ball rolling on the ground slows down,
+  * so the ball which has stopped under a player is never met by the player as a new collision.
+  * @param {Ball} ball
+  * @return {boolean}
+  */
+ function isBallAtRestOnGround(ball) {
+   return (
+     ball.y > BALL_TOUCHING_GROUND_Y_COORD - BALL_RADIUS &&
+     Math.abs(ball.xVelocity) < BALL_AT_REST_MAX_X_SPEED &&
+     Math.abs(ball.yVelocity) <= DRIBBLE_MAX_BALL_Y_SPEED
+   );
+ }
+ 
+ /**
+  * Does the dribbling player keep the ball under control?
+  * The player loses it by jumping, power hitting, slide tackling or being knocked down,
+  * and when the ball gets out of reach.
+  * @param {Player} player dribbling player
+  * @param {Ball} ball
+  * @return {boolean}
+  */
+ function isDribbleKept(player, ball) {
+   return (
+     player.state === 0 &&
+     Math.abs(ball.x - player.x) <= PLAYER_LENGTH &&
+     ball.y > player.y - PLAYER_LENGTH
+   );
+ }
+ 
+ /**
+  * Dribble: instead of bouncing off the player, the ball is kept close with small touches.
+  * When the player has caught up with the ball, a touch pushes it ahead a little faster than the player moves,
+  * and the ball slows down as it rolls until the player catches up with it again.
+  * A standing player stops the ball at the feet.
+  * @param {Player} player dribbling player
+  * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function processDribble(player, ball, field) {
+   if (player.xVelocity !== 0) {
+     player.dribbleDirection = player.xVelocity > 0 ? 1 : -1;
+   }
+   // how far the ball is in front of the player (negative if the ball is behind the player)
+   const ballDistanceAhead = player.dribbleDirection * (ball.x - player.x);
+   // how much faster the ball moves forward than the player
+   const ballRelativeSpeed = player.dribbleDirection * (ball.xVelocity - player.xVelocity);
+   if (ballDistanceAhead >= DRIBBLE_TOUCH_DISTANCE) {
+     return;
+   }
+   if (player.xVelocity === 0) {
+     if (ball.xVelocity !== 0) {
+       ball.xVelocity = 0;
+       caculate_expected_landing_point_x_for(ball, field);
+     }
+   } else if (ballRelativeSpeed < DRIBBLE_TOUCH_SPEED) {
+     touchBallByDribble(player, ball, field);
+   }
+ }
+ 
+ /**
+  * The ball is released from the dribble. A power hit meets the ball on the next frame as a new collision.
+  * On a jump, the ball goes off with a last touch which carries the movement of the player, if it is close enough.
+  * @param {Player} player player who has been dribbling
+  * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function releaseDribble(player, ball, field) {
+   player.isDribbling = false;
+   if (player.state === 2) {
+     player.isCollisionWithBallHappened = false;
+   } else if (
+     player.state === 1 &&
+     player.dribbleDirection * (ball.x - player.x) < DRIBBLE_TOUCH_DISTANCE &&
+     Math.abs(ball.x - player.x) <= PLAYER_LENGTH
+   ) {
+     touchBallByDribble(player, ball, field);
+   }
+ }
+ 
+ /**
+  * A small touch of the dribbling player, which pushes the ball ahead
+  * by {@link DRIBBLE_TOUCH_SPEED} faster than the player moves, or stops it if the player stands still
+  * @param {Player} player dribbling player
+  * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function touchBallByDribble(player, ball, field) {
+   if (player.xVelocity === 0) {
+     ball.xVelocity = 0;
+   } else {
+     ball.xVelocity = player.xVelocity + player.dribbleDirection * DRIBBLE_TOUCH_SPEED;
+     ball.yVelocity = -DRIBBLE_TOUCH_HOP_SPEED;
+   }
+   caculate_expected_landing_point_x_for(ball, field);
+ }
+ 
+ /**
+  * Velocity of the power hit ball, aimed by the direction input of the player.
+  * It replaces the formulas of the original volleyball game, (|xDirection| + 1) * 10 for the x velocity
+  * and |yVelocity| * yDirection * 2 for the y velocity, with the shots of {@link POWER_HIT_X_SPEEDS}
+  * and {@link POWER_HIT_Y_VELOCITIES}. Without direction input, it is a low drive at the speed of 20 as before.
+  * A charged power hit is faster, by up to {@link POWER_HIT_CHARGE_MAX_BONUS_SPEED} at full charge.
+  *
+  * @param {boolean} isPlayer2 Is the player on the right side (who attacks to the left)?
+  * @param {number} xDirection horizontal-direction input of the player: -1, 0 or 1
+  * @param {number} yDirection vertical-direction input of the player: -1 (up), 0 or 1 (down)
+  * @param {number} [powerHitCharge] charge of the power hit, 0 (a tap) to {@link POWER_HIT_CHARGE_MAX_FRAMES}
+  * @return {{xVelocity: number, yVelocity: number}}
+  */
+ function getPowerHitVelocity(isPlayer2, xDirection, yDirection, powerHitCharge = 0) {
+   const attackDirection = isPlayer2 ? -1 : 1;
+   const bonusSpeed = Math.floor(
+     (POWER_HIT_CHARGE_MAX_BONUS_SPEED * powerHitCharge) / POWER_HIT_CHARGE_MAX_FRAMES
+   );
+   return {
+     xVelocity: attackDirection * (POWER_HIT_X_SPEEDS[attackDirection * xDirection + 1] + bonusSpeed),
+     yVelocity: POWER_HIT_Y_VELOCITIES[yDirection + 1],
+   };
+ }
+ 
  /**
   * FUN_004031b0
   * Calculate x coordinate of expected landing point of the ball
   * @param {Ball} ball
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
   */
- function caculate_expected_landing_point_x_for(ball) {
+ function caculate_expected_landing_point_x_for(ball, field) {
+   const crossbarY = getCrossbarYCoord(field);
    const copyBall = {
      x: ball.x,
      y: ball.y,
@@ -1082,29 +2243,20 @@
      loopCounter++;
  
      const futureCopyBallX = copyBall.xVelocity + copyBall.x;
-     if (futureCopyBallX < BALL_RADIUS || futureCopyBallX > GROUND_WIDTH) {
-       copyBall.xVelocity = -copyBall.xVelocity;
+     if (futureCopyBallX < BALL_RADIUS || futureCopyBallX > field.width - BALL_RADIUS) {
+       copyBall.xVelocity = -copyBall.xVelocity * 0.6;
      }
      if (copyBall.y + copyBall.yVelocity < 0) {
        copyBall.yVelocity = 1;
      }
  
-     // If copy ball touches net
-     if (
-       Math.abs(copyBall.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
-       copyBall.y > NET_PILLAR_TOP_TOP_Y_COORD
-     ) {
-       // It maybe should be <= NET_PILLAR_TOP_BOTTOM_Y_COORD as in FUN_00402dc0, is it the original game author's mistake?
-       if (copyBall.y < NET_PILLAR_TOP_BOTTOM_Y_COORD) {
-         if (copyBall.yVelocity > 0) {
-           copyBall.yVelocity = -copyBall.yVelocity;
-         }
+     // There is no net in the middle of a soccer pitch,
+     // but the goal tops at both ends bounce the copy ball back as the real ball.
+     if (isCopyBallTouchingGoalTop(copyBall, field)) {
+       if (copyBall.y < crossbarY) {
+         copyBall.yVelocity = -0.6 * Math.abs(copyBall.yVelocity);
        } else {
-         if (copyBall.x < GROUND_HALF_WIDTH) {
-           copyBall.xVelocity = -Math.abs(copyBall.xVelocity);
-         } else {
-           copyBall.xVelocity = Math.abs(copyBall.xVelocity);
-         }
+         copyBall.yVelocity = 0.6 * Math.abs(copyBall.yVelocity);
        }
      }
  
@@ -1124,45 +2276,122 @@
  }
  
  /**
-  * FUN_00402360
+  * Is the copy ball used for the expectation touching one of the goal tops?
+  * @param {{x: number, y: number, xVelocity: number, yVelocity: number}} copyBall
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  * @return {boolean}
+  */
+ function isCopyBallTouchingGoalTop(copyBall, field) {
+   const crossbarY = getCrossbarYCoord(field);
+   const crossbarHalfThickness = field.crossbarThickness / 2;
+   const futureCopyBallY = copyBall.y + copyBall.yVelocity;
+   const futureCopyBallX = copyBall.x + copyBall.xVelocity;
+   return (
+     Math.abs(futureCopyBallY - crossbarY) < crossbarHalfThickness + BALL_RADIUS &&
+     (futureCopyBallX < field.goalDepth || futureCopyBallX > field.width - field.goalDepth)
+   );
+ }
+ 
+ /**
   * Computer controls its player by this function.
   * Computer decides the user input for the player it controls,
   * according to the game situation it figures out
   * by the given parameters (player, ball and theOtherplayer),
   * and reflects these to the given user input object.
   *
+  * This function replaces FUN_00402360 of the original volleyball game.
+  * The computer chases the ball over the whole pitch,
+  * stands between the ball and its own goal when the other player is closer to the ball,
+  * shoots toward the goal mouth of the other player (under the goal top)
+  * and clears the ball away when it is defending around its own goal.
+  * If the goalkeepers catch the ball, the computer goalkeeper catches the ball in its goalkeeper area
+  * rather than kicking it.
+  *
+  * How well the computer does these is decided by its difficulty level (see {@link COMPUTER_DIFFICULTY}).
+  *
   * @param {Player} player The player whom computer contorls
   * @param {Ball} ball ball
-  * @param {Player} theOtherPlayer The other player
+  * @param {Player} theOtherPlayer The other player (the one closest to the ball, in a team match)
   * @param {PikaUserInput} userInput user input of the player whom computer controls
+  * @param {Player} [teammate] teammate of the player in a team match, null if there is none
+  * @param {{width: number, height: number}} [goalkeeperArea] see "goalkeeperArea" of {@link PikaPhysics}
+  * @param {FieldConfig} [field] see "field" of {@link PikaPhysics}
   */
- function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
+ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput, teammate = null, goalkeeperArea = null, field = DEFAULT_FIELD) {
+   userInput.powerHit = 0;
+   userInput.powerKeyDown = false;
+ 
+   // The computer keeps its last decision until it reacts to the game again.
+   if (player.computerReactionFramesLeft > 0) {
+     player.computerReactionFramesLeft -= 1;
+     userInput.xDirection = player.computerXDirection;
+     userInput.yDirection = player.computerYDirection;
+     return;
+   }
+   player.computerReactionFramesLeft = player.computerReactionDelay;
+ 
    userInput.xDirection = 0;
    userInput.yDirection = 0;
-   userInput.powerHit = 0;
  
-   let virtualExpectedLandingPointX = ball.expectedLandingPointX;
-   if (
-     Math.abs(ball.x - player.x) > 100 &&
-     Math.abs(ball.xVelocity) < player.computerBoldness + 5
-   ) {
-     const leftBoundary = Number(player.isPlayer2) * GROUND_HALF_WIDTH;
-     if (
-       (ball.expectedLandingPointX <= leftBoundary ||
-         ball.expectedLandingPointX >=
-           Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
-       player.computerWhereToStandBy === 0
-     ) {
-       // If conditions above met, the computer estimates the proper location to stay as the middle point of their side
-       virtualExpectedLandingPointX = leftBoundary + GROUND_HALF_WIDTH / 2;
-     }
+   if (player.holding === true) {
+     letComputerDecideUserInputForHeldBall(player, theOtherPlayer, userInput, field);
+     player.computerXDirection = userInput.xDirection;
+     player.computerYDirection = userInput.yDirection;
+     return;
    }
  
-   if (
-     Math.abs(virtualExpectedLandingPointX - player.x) >
-     player.computerBoldness + 8
+   if (player.isPenaltyShooter === true || player.isPenaltyKeeper === true) {
+     letComputerDecideUserInputForPenaltyKick(player, ball, userInput, field);
+     player.computerXDirection = userInput.xDirection;
+     player.computerYDirection = userInput.yDirection;
+     return;
+   }
+ 
+   // 1 if the computer attacks to the right (player 1), -1 if it attacks to the left (player 2)
+   const attackDirection = player.isPlayer2 ? -1 : 1;
+   // x coord of the goal line which the computer defends
+   const ownGoalLineX = player.isPlayer2 ? field.width - field.goalDepth : field.goalDepth;
+ 
+   // If the ball is high in the air, run to where it will land. Otherwise, run to the ball itself.
+   let ballX = ball.x;
+   if (ball.y < PLAYER_TOUCHING_GROUND_Y_COORD - PLAYER_LENGTH) {
+     ballX = ball.expectedLandingPointX;
+   }
+   // how far the ball is in front of the player (negative if the ball is between the player and its own goal)
+   const ballDistanceAhead = attackDirection * (ball.x - player.x);
+   const isBallOnOwnHalf = Math.abs(ballX - ownGoalLineX) < field.width / 2 - field.goalDepth;
+   // where the computer stands by, between the ball and the own goal
+   const standByX = ownGoalLineX + (ballX - ownGoalLineX) * (0.3 + 0.05 * player.computerBoldness);
+ 
+   let targetX;
+   if (ballDistanceAhead < -PLAYER_HALF_LENGTH_X) {
+     // The ball got past the computer: get back to the goal side of the ball.
+     targetX = ballX - attackDirection * PLAYER_LENGTH;
+   } else if (player.isDribbling === true) {
+     // Dribble the ball on toward the goal of the other player, rather than standing behind the ball.
+     targetX = ball.x + attackDirection * PLAYER_LENGTH;
+   } else if (
+     teammate !== null &&
+     teammate.sentOffFramesLeft === 0 &&
+     Math.abs(teammate.x - ballX) + PLAYER_HALF_LENGTH < Math.abs(player.x - ballX)
    ) {
-     if (player.x < virtualExpectedLandingPointX) {
+     // The teammate is closer to the ball: leave the ball to the teammate and cover the own goal.
+     targetX = standByX;
+   } else if (
+     isBallOnOwnHalf === false &&
+     Math.abs(theOtherPlayer.x - ballX) + PLAYER_LENGTH < Math.abs(player.x - ballX) &&
+     player.computerWhereToStandBy === 0
+   ) {
+     // The other player will reach the ball first: stand between the ball and the own goal.
+     targetX = standByX;
+   } else {
+     // Chase the ball and approach it from the own goal side.
+     targetX = ballX - attackDirection * PLAYER_HALF_LENGTH_X;
+   }
+   targetX += player.computerPositioningError;
+ 
+   if (Math.abs(targetX - player.x) > player.computerBoldness + 8) {
+     if (player.x < targetX) {
        userInput.xDirection = 1;
      } else {
        userInput.xDirection = -1;
@@ -1171,197 +2400,254 @@
      player.computerWhereToStandBy = rand() % 2;
    }
  
+   // where the computer thinks the ball is when it decides to jump
+   const ballYForJump = ball.y + player.computerJumpTimingError * ball.yVelocity;
+ 
+   const isBallInReach =
+     ballDistanceAhead > -PLAYER_HALF_LENGTH_X &&
+     ballDistanceAhead < PLAYER_LENGTH &&
+     Math.abs(ball.y - player.y) < PLAYER_LENGTH;
+   // The goalkeeper would rather catch the ball than kick it.
+   const isBallToCatch =
+     player.isForward === false && isBallInGoalkeeperArea(player, ball, goalkeeperArea, field);
+ 
    if (player.state === 0) {
      if (
-       Math.abs(ball.xVelocity) < player.computerBoldness + 3 &&
-       Math.abs(ball.x - player.x) < PLAYER_HALF_LENGTH &&
-       ball.y > -36 &&
-       ball.y < 10 * player.computerBoldness + 84 &&
+       isBallToCatch === false &&
+       ballDistanceAhead < -PLAYER_HALF_LENGTH_X &&
+       Math.abs(ball.x - player.x) < PLAYER_LENGTH + PLAYER_HALF_LENGTH
+     ) {
+       // Hop over the ball instead of pushing it into the own goal.
+       if (ball.y > player.y - PLAYER_LENGTH) {
+         userInput.yDirection = -1;
+       }
+     } else if (isBallToCatch === false && isBallInReach && ball.y > player.y - PLAYER_HALF_LENGTH_Y) {
+       if (decideWhetherInputPowerHit(player, ball, theOtherPlayer, field)) {
+         // Power hit on the ground is only possible without the horizontal-direction input.
+         // The up-direction input would make a jump, so a chip is aimed from the next frame.
+         userInput.powerHit = 1;
+         userInput.xDirection = 0;
+         userInput.yDirection = Math.max(player.computerShotYDirection, 0);
+       }
+     } else if (
+       Math.abs(ballX - player.x) < PLAYER_LENGTH &&
+       ballYForJump < player.y - PLAYER_HALF_LENGTH_Y &&
+       ballYForJump > player.y - 10 * player.computerBoldness - 140 &&
        ball.yVelocity > 0
      ) {
+       // The ball is falling down onto the computer: jump to meet it in the air.
        userInput.yDirection = -1;
      }
+   } else if (player.state === 1) {
+     if (isBallToCatch === false && isBallInReach && decideWhetherInputPowerHit(player, ball, theOtherPlayer, field)) {
+       userInput.powerHit = 1;
+       userInput.yDirection = player.computerShotYDirection;
+     }
+   } else if (player.state === 2) {
+     // Keep aiming until the power hit meets the ball.
+     userInput.yDirection = player.computerShotYDirection;
+   }
+ 
+   player.computerXDirection = userInput.xDirection;
+   player.computerYDirection = userInput.yDirection;
+ }
  
-     /*const leftBoundary = Number(player.isPlayer2) * GROUND_HALF_WIDTH;
-     const rightBoundary = (Number(player.isPlayer2) + 1) * GROUND_HALF_WIDTH;
+ /**
+  * This function is called by {@link letComputerDecideUserInput} when the computer goalkeeper holds the ball.
+  *
+  * The computer stands still with the ball for a moment, and then throws it low
+  * if the other player is far away, or punts it over the other player otherwise.
+  *
+  * @param {Player} player the player whom computer controls
+  * @param {Player} theOtherPlayer the other player (the one closest to the ball, in a team match)
+  * @param {PikaUserInput} userInput user input to be decided
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function letComputerDecideUserInputForHeldBall(player, theOtherPlayer, userInput, field) {
+   const framesHeld = GOALKEEPER_HOLD_MAX_FRAMES - player.holdingFrame;
+   if (framesHeld < GOALKEEPER_COMPUTER_HOLD_FRAMES) {
+     return;
+   }
+   userInput.powerHit = 1;
+   userInput.yDirection = Math.abs(theOtherPlayer.x - player.x) > field.width / 2 ? 1 : 0;
+ }
+ 
+ /**
+  * This function is called by {@link letComputerDecideUserInput} on a penalty kick.
+  *
+  * The computer shooter runs up to the ball and power hits it, aiming high, middle or low at random.
+  * The computer keeper comes off its goal line as far as it dares. Since a standing keeper blocks only low shots
+  * and a jumping keeper only high shots, it has to decide whether to jump as soon as the shot is struck.
+  * More accurate computer (see {@link COMPUTER_DIFFICULTY}) reads the height of the shot more often.
+  *
+  * @param {Player} player the player whom computer controls
+  * @param {Ball} ball ball
+  * @param {PikaUserInput} userInput user input to be decided
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  */
+ function letComputerDecideUserInputForPenaltyKick(player, ball, userInput, field) {
+   // 1 if the computer attacks to the right (player 1), -1 if it attacks to the left (player 2)
+   const attackDirection = player.isPlayer2 ? -1 : 1;
+   const ownGoalLineX = player.isPlayer2 ? field.width - field.goalDepth : field.goalDepth;
+ 
+   let targetX;
+   if (player.isPenaltyShooter === true) {
+     // Stand right behind the ball, and power hit it when it comes down within a few frames.
+     targetX = ball.x - attackDirection * PLAYER_HALF_LENGTH_X;
+     const ballDistanceAhead = attackDirection * (ball.x - player.x);
      if (
-       ball.expectedLandingPointX > leftBoundary &&
-       ball.expectedLandingPointX < rightBoundary &&
-       Math.abs(ball.x - player.x) >
-         player.computerBoldness * 5 + PLAYER_LENGTH &&
-       ball.x > leftBoundary &&
-       ball.x < rightBoundary &&
-       ball.y > 174
+       player.state === 0 &&
+       ballDistanceAhead > 0 &&
+       ballDistanceAhead < PLAYER_LENGTH &&
+       ball.y + 6 * Math.max(ball.yVelocity, 0) > player.y - PLAYER_HALF_LENGTH_Y
      ) {
-       // If conditions above met, the computer decides to dive!
+       // Power hit on the ground is only possible without the horizontal-direction input.
        userInput.powerHit = 1;
-       if (player.x < ball.x) {
-         userInput.xDirection = 1;
-       } else {
-         userInput.xDirection = -1;
-       }
-     }*/
-   } else if (player.state === 1 || player.state === 2) {
-     if (Math.abs(ball.x - player.x) > 8) {
-       if (player.x < ball.x) {
-         userInput.xDirection = -1;
-       } else {
-         userInput.xDirection = 1;
-       }
+       player.computerShotYDirection = (rand() % 3) - 1;
+       userInput.yDirection = player.computerShotYDirection;
+       return;
      }
-   }
-   if (player.holding) {
-     userInput.yDirection = -1;
-     /*const willInputPowerHit = decideWhetherInputPowerHit(
-       player,
-       ball,
-       theOtherPlayer,
-       userInput
-     );*/
-     if (player.y < PLAYER_TOUCHING_GROUND_Y_COORD - 100 && rand() % 10 === 0) {
-       userInput.powerHit = 1;
-       userInput.xDirection = player.isPlayer2 ? -1 : 1;
-       userInput.yDirection = rand() % 2 - 1;
+     if (player.state === 2) {
+       // Keep aiming until the power hit meets the ball.
+       userInput.yDirection = player.computerShotYDirection;
+     }
+   } else {
+     targetX = ownGoalLineX + attackDirection * 8 * player.computerBoldness;
+     // how far the ball is in front of the keeper
+     const ballDistanceAhead = attackDirection * (ball.x - player.x);
+     const isShotComing = attackDirection * ball.xVelocity < -10 && ballDistanceAhead > 0;
+     if (isShotComing && player.computerPenaltyKeeperDecision === 0) {
+       // the height of the ball when it reaches the keeper, ignoring bounces
+       const frames = ballDistanceAhead / Math.abs(ball.xVelocity);
+       const ballYAtKeeper = ball.y + frames * ball.yVelocity + (frames * (frames + 1)) / 2;
+       const isHighShot = ballYAtKeeper < player.y - PLAYER_HALF_LENGTH_Y;
+       const isReadCorrectly = rand() % 100 < 0.6 * player.computerShotAccuracy;
+       player.computerPenaltyKeeperDecision = isHighShot === isReadCorrectly ? 1 : -1;
+     }
+     if (
+       player.state === 0 &&
+       isShotComing &&
+       player.computerPenaltyKeeperDecision === 1 &&
+       ballDistanceAhead < PLAYER_LENGTH + (4 + player.computerJumpTimingError) * Math.abs(ball.xVelocity)
+     ) {
+       userInput.yDirection = -1;
      }
    }
-     
+   targetX += player.computerPositioningError / 4;
+ 
+   if (Math.abs(targetX - player.x) > player.computerBoldness + 8) {
+     userInput.xDirection = player.x < targetX ? 1 : -1;
+   }
  }
  
  /**
-  * FUN_00402630
-  * This function is called by {@link letComputerDecideUserInput},
-  * and also sets x and y direction user input so that it participate in
-  * the decision of the direction of power hit.
+  * This function is called by {@link letComputerDecideUserInput}
+  * and decides whether the computer would power hit the ball in its reach.
+  * It replaces FUN_00402630 of the original volleyball game.
+  *
+  * The computer always clears the ball away when the ball is around its own goal.
+  * Otherwise, it shoots if the power hit is expected to go into the goal mouth of the other player
+  * with any of the aims (see {@link POWER_HIT_Y_VELOCITIES}), and it keeps the aim in computerShotYDirection.
+  * If it is not, the computer dribbles the ball on toward the goal of the other player
+  * when it has the ball under control or can take it (see {@link isDribbleStartable}).
+  * Otherwise, less accurate computer (see {@link COMPUTER_DIFFICULTY}) often shoots even if it is not,
+  * and bolder computer does it more often.
+  *
   * @param {Player} player the player whom computer controls
   * @param {Ball} ball ball
   * @param {Player} theOtherPlayer The other player
-  * @param {PikaUserInput} userInput user input for the player whom computer controls
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
   * @return {boolean} Will input power hit?
   */
- function decideWhetherInputPowerHit(player, ball, theOtherPlayer, userInput) {
-   if (rand() % 2 === 0) {
-     for (let xDirection = 1; xDirection > -1; xDirection--) {
-       for (let yDirection = -1; yDirection < 2; yDirection++) {
-         const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
-           xDirection,
-           yDirection,
-           ball
-         );
-         if (
-           (expectedLandingPointX <=
-             Number(player.isPlayer2) * GROUND_HALF_WIDTH ||
-             expectedLandingPointX >=
-               Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
-           Math.abs(expectedLandingPointX - theOtherPlayer.x) > PLAYER_LENGTH
-         ) {
-           userInput.xDirection = xDirection;
-           userInput.yDirection = yDirection;
-           return true;
-         }
-       }
-     }
-   } else {
-     for (let xDirection = 1; xDirection > -1; xDirection--) {
-       for (let yDirection = 1; yDirection > -2; yDirection--) {
-         const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
-           xDirection,
-           yDirection,
-           ball
-         );
-         if (
-           (expectedLandingPointX <=
-             Number(player.isPlayer2) * GROUND_HALF_WIDTH ||
-             expectedLandingPointX >=
-               Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
-           Math.abs(expectedLandingPointX - theOtherPlayer.x) > PLAYER_LENGTH
-         ) {
-           userInput.xDirection = xDirection;
-           userInput.yDirection = yDirection;
-           return true;
-         }
-       }
+ function decideWhetherInputPowerHit(player, ball, theOtherPlayer, field) {
+   const ownGoalLineX = player.isPlayer2 ? field.width - field.goalDepth : field.goalDepth;
+   player.computerShotYDirection = 0;
+   if (Math.abs(ball.x - ownGoalLineX) < field.width / 4) {
+     return true;
+   }
+   // Try a low drive first, then a downward shot, then a chip.
+   for (const yDirection of [0, 1, -1]) {
+     if (isExpectedToScoreWhenPowerHit(player, ball, theOtherPlayer, yDirection, field)) {
+       player.computerShotYDirection = yDirection;
+       return true;
      }
    }
-   return false;
-     
+   if (player.isDribbling === true || isDribbleStartable(player, ball)) {
+     return false;
+   }
+   if (rand() % 100 >= player.computerShotAccuracy) {
+     return true;
+   }
+   return rand() % 10 < player.computerBoldness;
  }
  
  /**
-  * FUN_00402870
   * This function is called by {@link decideWhetherInputPowerHit},
-  * and calculates the expected x coordinate of the landing point of the ball
-  * when power hit
-  * @param {PikaUserInput["xDirection"]} userInputXDirection
-  * @param {PikaUserInput["yDirection"]} userInputYDirection
-  * @param {Ball} ball
-  * @return {number} x coord of expected landing point when power hit the ball
+  * and follows the ball as it would fly after being power hit by the player
+  * (see {@link processCollisionBetweenBallAndPlayer}) until the ball reaches the goal line of the other player.
+  * It replaces FUN_00402870 of the original volleyball game
+  * which calculates the expected landing point of the power hit ball.
+  * The ball is followed with the trajectory of the aimed shot: it bounces on the ground, and a chip flies over the player.
+  *
+  * @param {Player} player the player who power hits
+  * @param {Ball} ball ball
+  * @param {Player} theOtherPlayer the player who defends the goal
+  * @param {number} yDirection vertical-direction input with which the power hit is aimed
+  * @param {FieldConfig} field see "field" of {@link PikaPhysics}
+  * @return {boolean} Is the ball expected to get into the goal mouth (under the goal top) without being blocked?
   */
- function expectedLandingPointXWhenPowerHit(
-   userInputXDirection,
-   userInputYDirection,
-   ball
- ) {
+ function isExpectedToScoreWhenPowerHit(player, ball, theOtherPlayer, yDirection, field) {
+   const crossbarY = getCrossbarYCoord(field);
+   const velocity = getPowerHitVelocity(player.isPlayer2, 0, yDirection);
+   const attackDirection = player.isPlayer2 ? -1 : 1;
    const copyBall = {
      x: ball.x,
      y: ball.y,
-     xVelocity: ball.xVelocity,
-     yVelocity: ball.yVelocity,
+     xVelocity: velocity.xVelocity,
+     yVelocity: velocity.yVelocity,
    };
-   if (copyBall.x < GROUND_HALF_WIDTH) {
-     copyBall.xVelocity = (Math.abs(userInputXDirection) + 1) * 10;
-   } else {
-     copyBall.xVelocity = -(Math.abs(userInputXDirection) + 1) * 10;
-   }
-   copyBall.yVelocity = Math.abs(copyBall.yVelocity) * userInputYDirection * 2;
  
    let loopCounter = 0;
-   while (true) {
+   while (loopCounter < INFINITE_LOOP_LIMIT) {
      loopCounter++;
  
      const futureCopyBallX = copyBall.x + copyBall.xVelocity;
-     if (futureCopyBallX < BALL_RADIUS || futureCopyBallX > GROUND_WIDTH) {
-       copyBall.xVelocity = -copyBall.xVelocity;
+     if (futureCopyBallX < BALL_RADIUS || futureCopyBallX > field.width - BALL_RADIUS) {
+       // It hits the wall above the goal top.
+       return false;
      }
-     if (copyBall.y + copyBall.yVelocity < 0) {
-       copyBall.yVelocity = 1;
+     if (isCopyBallTouchingGoalTop(copyBall, field)) {
+       return false;
+     }
+ 
+     copyBall.y = copyBall.y + copyBall.yVelocity;
+     if (copyBall.y > BALL_TOUCHING_GROUND_Y_COORD) {
+       copyBall.y = BALL_TOUCHING_GROUND_Y_COORD;
+       copyBall.yVelocity = -0.8 * copyBall.yVelocity;
+       copyBall.xVelocity = 0.875 * copyBall.xVelocity;
      }
+     copyBall.x = futureCopyBallX;
+     copyBall.yVelocity += 1;
+ 
+     // Is the ball blocked by the other player on the way?
      if (
-       Math.abs(copyBall.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
-       copyBall.y > NET_PILLAR_TOP_TOP_Y_COORD
+       Math.abs(copyBall.x - theOtherPlayer.x) < PLAYER_HALF_LENGTH_X + BALL_RADIUS &&
+       Math.abs(copyBall.y - theOtherPlayer.y) < PLAYER_HALF_LENGTH_Y + BALL_RADIUS
      ) {
-       /*
-         The code below maybe is intended to make computer do mistakes.
-         The player controlled by computer occasionally power hit ball that is bounced back by the net pillar,
-         since code below do not anticipate the bounce back.
-       */
-       if (copyBall.yVelocity > 0) {
-         copyBall.yVelocity = -copyBall.yVelocity;
-       }
-       /*
-       An alternative code for making the computer not do those mistakes is as below.
+       return false;
+     }
  
-       if (copyBall.y <= NET_PILLAR_TOP_BOTTOM_Y_COORD) {
-         if (copyBall.yVelocity > 0) {
-           copyBall.yVelocity = -copyBall.yVelocity;
-         }
-       } else {
-         if (copyBall.x < GROUND_HALF_WIDTH) {
-           copyBall.xVelocity = -Math.abs(copyBall.xVelocity);
-         } else {
-           copyBall.xVelocity = Math.abs(copyBall.xVelocity);
-         }
-       }
-       */
+     if (Math.abs(copyBall.xVelocity) < 1) {
+       // The ball stops rolling before reaching the goal.
+       return false;
      }
-     copyBall.y = copyBall.y + copyBall.yVelocity;
+ 
      if (
-       copyBall.y > BALL_TOUCHING_GROUND_Y_COORD ||
-       loopCounter >= INFINITE_LOOP_LIMIT
+       (attackDirection === 1 && copyBall.x > field.width - field.goalDepth + BALL_RADIUS) ||
+       (attackDirection === -1 && copyBall.x < field.goalDepth - BALL_RADIUS)
      ) {
-       return copyBall.x;
+       return copyBall.y > crossbarY;
      }
-     copyBall.x = copyBall.x + copyBall.xVelocity;
-     copyBall.yVelocity += 1;
    }
-     
- }
\ No newline at end of file
+   return false;
+ }
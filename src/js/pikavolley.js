@@ -2,13 +2,42 @@
  * The Controller part in MVC pattern
  */
 'use strict';
-import { PikaPhysics } from './physics.js';
+import {
+  PikaPhysics,
+  DEFAULT_FIELD,
+  DEFAULT_GOALKEEPER_AREA,
+  SMALL_FIELD,
+} from './physics.js';
 import { MenuView, GameView, FadeInOut, IntroView } from './view.js';
-import { PikaKeyboard } from './keyboard.js';
+import { PikaKeyboard, DEFAULT_KEY_BINDINGS } from './keyboard.js';
+import { PikaGamepad, MAX_GAMEPADS } from './gamepad.js';
 import { PikaAudio } from './audio.js';
+import { setCustomRng, createSeededRng, generateSeed } from './rand.js';
+import { ReplayRecorder, ReplayPlayer, GoalReplayBuffer } from './replay.js';
+import { NetplaySession } from './netplay.js';
+import { Referee, CARD } from './referee.js';
 
 /** @typedef GameState @type {function():void} */
 
+/**
+ * @typedef {Object} MatchSnapshot
+ * @property {import('./physics.js').PhysicsSnapshot} physics
+ * @property {number[]} scores [0] for player 1 score, [1] for player 2 score
+ * @property {boolean} roundEnded
+ * @property {boolean} gameEnded
+ * @property {boolean} isPlayer2Serve
+ * @property {number[]} yellowCards see {@link Referee}
+ * @property {{taker: number, x: number}} freeKick see {@link PikachuVolleyball.freeKick}
+ * @property {number} halfLengthFrames see {@link PikachuVolleyball.halfLengthFrames}
+ * @property {boolean} isPenaltiesMode see {@link PikachuVolleyball.isPenaltiesMode}
+ * @property {number} half 1: first half, 2: second half, 3: extra time
+ * @property {number} matchClockFrames number of frames played in the current half
+ * @property {boolean} isSideSwapped
+ * @property {string} tieBreaker see {@link PikachuVolleyball.tieBreaker}
+ * @property {boolean[][]} penaltyKicks kicks taken in the penalty shootout, null if there is no penalty shootout
+ * @property {number} penaltyShooterSide 0: left, 1: right
+ */
+
 /**
  * Class representing Pikachu Volleyball game
  */
@@ -22,7 +51,7 @@ export class PikachuVolleyball {
     this.view = {
       intro: new IntroView(resources),
       menu: new MenuView(resources),
-      game: new GameView(resources),
+      game: new GameView(resources, DEFAULT_FIELD),
       fadeInOut: new FadeInOut(),
     };
     stage.addChild(this.view.intro.container);
@@ -35,17 +64,33 @@ export class PikachuVolleyball {
     this.view.fadeInOut.visible = false;
 
     this.audio = new PikaAudio(resources);
-    this.physics = new PikaPhysics(true, true);
-    this.keyboardArray = [
-      new PikaKeyboard('KeyD', 'KeyG', 'KeyR', 'KeyF', 'KeyZ'), // for player1
-      new PikaKeyboard( // for player2
-        'ArrowLeft',
-        'ArrowRight',
-        'ArrowUp',
-        'ArrowDown',
-        'Enter'
-      ),
-    ];
+    this.physics = new PikaPhysics(true, true, DEFAULT_FIELD);
+    /** @type {import('./keyboard.js').KeyBinding[]} keys of the keyboards: [0] for player1, [1] for player2, [2] for player3, [3] for player4 */
+    this.keyBindings = DEFAULT_KEY_BINDINGS.map((keyBinding) => ({
+      ...keyBinding,
+    }));
+    /** @type {PikaKeyboard[]} [0] for player1, [1] for player2, [2] for player3, [3] for player4 */
+    this.keyboardArray = this.keyBindings.map(createKeyboard);
+    // The keyboards for the teammates of a team match listen to their keys only while they are used.
+    this.keyboardArray[2].unsubscribe();
+    this.keyboardArray[3].unsubscribe();
+    /** @type {PikaGamepad[]} [i] for the i-th gamepad connected to the browser */
+    this.gamepadArray = [];
+    for (let i = 0; i < MAX_GAMEPADS; i++) {
+      this.gamepadArray.push(new PikaGamepad(i));
+    }
+    /**
+     * [i]: index of the player (of keyboardArray) whom the i-th gamepad controls, -1 if it controls no one.
+     * The input from the gamepad is added to the input from the keyboard of the player.
+     * @type {number[]}
+     */
+    this.gamepadPlayerIndices = [0, 1, 2, 3];
+    /**
+     * On-screen touch pads, set by the UI on a touch device: [0] on the left half of the screen, [1] on the right half.
+     * The input from the touch pad is added to the input from the keyboard of the player on that side.
+     * @type {import('./touch.js').PikaTouchPad[]}
+     */
+    this.touchPadArray = [];
 
     /** @type {number} game fps */
     this.normalFPS = 30;
@@ -62,6 +107,15 @@ export class PikachuVolleyball {
     /** @type {number} 0: with computer, 1: with friend */
     this.selectedWithWho = 0;
 
+    /** @type {number} number of players on each side, 2 for a team match (see {@link PikaPhysics.setPlayersPerSide}) */
+    this.playersPerSide = 1;
+    /** @type {boolean} Are the teammates (player 3 and player 4) of a team match controlled by computer, rather than by keyboards? */
+    this.areTeammatesComputer = true;
+    /** @type {{width: number, height: number}} the box where the goalkeepers may catch the ball, null if they do not (see "goalkeeperArea" of {@link PikaPhysics}) */
+    this.goalkeeperArea = null;
+    /** @type {import('./physics.js').FieldConfig} geometry of the pitch: its width and the size of the goals (see "field" of {@link PikaPhysics}) */
+    this.field = DEFAULT_FIELD;
+
     /** @type {number[]} [0] for player 1 score, [1] for player 2 score */
     this.scores = [0, 0];
     /** @type {number} winning score: if either one of the players reaches this score, game ends */
@@ -74,6 +128,71 @@ export class PikachuVolleyball {
     /** @type {boolean} Will player 2 serve? */
     this.isPlayer2Serve = false;
 
+    /** @type {number} length of each half of a timed match in frames, 0: the match is not timed and ends by the winning score */
+    this.halfLengthFrames = 0;
+    /** @constant @type {number} frames per second of the match clock, so that the match length does not depend on the game speed */
+    this.MATCH_CLOCK_FPS = 30;
+    /** @type {number} 1: first half, 2: second half, 3: extra time */
+    this.half = 1;
+    /** @type {number} number of frames played in the current half */
+    this.matchClockFrames = 0;
+    /** @type {boolean} Are the sides swapped? (second half of a timed match) */
+    this.isSideSwapped = false;
+    /**
+     * How a timed match which is level at the end of the second half is decided
+     * 'draw': it ends in a draw, 'goldenGoal': golden goal extra time (and a draw if no goal),
+     * 'penalties': penalty shootout, 'goldenGoalThenPenalties': golden goal extra time and then penalty shootout
+     * @type {string}
+     */
+    this.tieBreaker = 'draw';
+    /** @type {boolean} Is the penalties mode on? The game is a penalty shootout from the start, and the goals of the kicks are the scores. */
+    this.isPenaltiesMode = false;
+    /** @type {boolean[][]} kicks taken in the penalty shootout by the player on each side ([0]: left, [1]: right), true for a goal, null if there is no penalty shootout */
+    this.penaltyKicks = null;
+    /** @type {number} side of the player who takes the next (or the current) penalty kick, 0: left, 1: right */
+    this.penaltyShooterSide = 0;
+
+    /** @type {Referee} judges the fouls and keeps the cards of the players */
+    this.referee = new Referee();
+    /**
+     * free kick which the next round starts with, null if there is none.
+     * taker: 1 or 2, the player who takes it (player 1 is on the left side), x: x coord of the spot of the foul
+     * @type {{taker: number, x: number}}
+     */
+    this.freeKick = null;
+
+    /** @type {number} seed used for every match, or null to use a new random seed for each match */
+    this.fixedSeed = null;
+    /** @type {number} seed of the RNG for the current (or the last) match, null if no match has been played */
+    this.matchSeed = null;
+
+    /** @type {ReplayRecorder} records the current (or the last) match */
+    this.replayRecorder = new ReplayRecorder();
+    /** @type {ReplayPlayer} plays back the replay on {@link replay} game state, null if no replay is loaded */
+    this.replayPlayer = null;
+    /** @type {boolean} Is the replay paused? */
+    this.isReplayPaused = false;
+    /** @type {number} play back speed of the replay: 0.5, 1, 2 or 4 */
+    this.replaySpeed = 1;
+    /** @type {number} accumulated play back speed, one frame is played back each time it reaches 1 */
+    this.replayStepProgress = 0;
+
+    /** @type {GoalReplayBuffer} keeps the last 3 seconds of a round for the instant replay of a goal */
+    this.goalReplayBuffer = new GoalReplayBuffer(90);
+    /** @constant @type {number} number of game frames for which each frame of the instant replay is shown */
+    this.GOAL_REPLAY_SLOW_MOTION_RATE = 2;
+
+    /** @type {NetplaySession} session of the online match, null if no online match is being played */
+    this.netplay = null;
+    /** @type {number} seed of the RNG for the online match, decided by the host */
+    this.netplaySeed = null;
+    /** @type {number} physics frame (of the netplay session) on which the last round ended by a goal (or a foul), -1 if no goal yet */
+    this.netplayGoalFrame = -1;
+    /** @type {Object} the settings overridden by the online match, to be restored when it ends */
+    this.settingsBeforeNetplay = null;
+    /** @constant @type {number} index of the keyboard (of keyboardArray) of the local player in an online match: the keys of player 1 on both peers */
+    this.NETPLAY_KEYBOARD_INDEX = 0;
+
     /** @type {number} frame counter */
     this.frameCounter = 0;
     /** @type {Object.<string,number>} total number of frames for each game state */
@@ -83,7 +202,9 @@ export class PikachuVolleyball {
       beforeStartOfNewGame: 15,
       startOfNewGame: 71,
       afterEndOfRound: 5,
+      halfTime: 90,
       beforeStartOfNextRound: 30,
+      penaltyKick: 150,
       gameEnd: 211,
     };
 
@@ -94,6 +215,60 @@ export class PikachuVolleyball {
       menu: 225,
     };
 
+    /** @type {boolean} Is a demo match of the attract mode being played? */
+    this.isDemo = false;
+    /**
+     * Game modes which the demo matches of the attract mode cycle through.
+     * The properties other than computerDifficulties are the settings of this object with the same names.
+     * @type {{winningScore: number, halfLengthFrames: number, isPenaltiesMode: boolean, playersPerSide: number, goalkeeperArea: {width: number, height: number}, field: import('./physics.js').FieldConfig, computerDifficulties: string[]}[]}
+     */
+    this.demoModes = [
+      // a match to the winning score
+      {
+        winningScore: 5,
+        halfLengthFrames: 0,
+        isPenaltiesMode: false,
+        playersPerSide: 1,
+        goalkeeperArea: null,
+        field: DEFAULT_FIELD,
+        computerDifficulties: ['normal', 'normal'],
+      },
+      // a timed match of two 30-second halves on the small pitch
+      {
+        winningScore: 5,
+        halfLengthFrames: 30 * this.MATCH_CLOCK_FPS,
+        isPenaltiesMode: false,
+        playersPerSide: 1,
+        goalkeeperArea: null,
+        field: SMALL_FIELD,
+        computerDifficulties: ['easy', 'hard'],
+      },
+      // the penalties mode
+      {
+        winningScore: 5,
+        halfLengthFrames: 0,
+        isPenaltiesMode: true,
+        playersPerSide: 1,
+        goalkeeperArea: null,
+        field: DEFAULT_FIELD,
+        computerDifficulties: ['expert', 'expert'],
+      },
+      // a team match with the goalkeepers catching the ball
+      {
+        winningScore: 5,
+        halfLengthFrames: 0,
+        isPenaltiesMode: false,
+        playersPerSide: 2,
+        goalkeeperArea: DEFAULT_GOALKEEPER_AREA,
+        field: DEFAULT_FIELD,
+        computerDifficulties: ['hard', 'normal'],
+      },
+    ];
+    /** @type {number} index of the game mode in {@link demoModes} for the next demo match */
+    this.demoModeIndex = 0;
+    /** @type {Object} the settings overridden by the demo match, to be restored when it ends */
+    this.settingsBeforeDemo = null;
+
     /** @type {boolean} true: paused, false: not paused */
     this.paused = false;
 
@@ -134,8 +309,24 @@ export class PikachuVolleyball {
       this.slowMotionNumOfSkippedFrames = 0;
     }
     // catch keyboard input and freeze it
-    this.keyboardArray[0].getInput();
-    this.keyboardArray[1].getInput();
+    for (const keyboard of this.keyboardArray) {
+      keyboard.getInput();
+    }
+    this.gamepadArray.forEach((gamepad, i) => {
+      gamepad.getInput();
+      const playerIndex = this.getGamepadPlayerIndex(i);
+      if (playerIndex !== -1) {
+        this.keyboardArray[playerIndex].add(gamepad);
+      }
+    });
+    this.touchPadArray.forEach((touchPad, side) => {
+      touchPad.getInput();
+      this.keyboardArray[this.getTouchPadPlayerIndex(side)].add(touchPad);
+    });
+    if (this.isDemo === true && this.isAnyKeyInput()) {
+      this.restart();
+      return;
+    }
     this.state();
   }
 
@@ -200,7 +391,7 @@ export class PikachuVolleyball {
       return;
     }
 
-    /*if (
+    if (
       (this.keyboardArray[0].yDirection === -1 ||
         this.keyboardArray[1].yDirection === -1) &&
       this.selectedWithWho === 1
@@ -221,51 +412,37 @@ export class PikachuVolleyball {
     } else {
       this.noInputFrameCounter++;
     }
-    */
 
     if (
       this.keyboardArray[0].powerHit === 1 ||
       this.keyboardArray[1].powerHit === 1
     ) {
-      this.selectedWithWho===1
       if (this.selectedWithWho === 1) {
         this.physics.player1.isComputer = false;
         this.physics.player2.isComputer = false;
-        this.audio.sounds.pikachu.play();
-        this.frameCounter = 0;
-        this.noInputFrameCounter = 0;
-        this.state = this.afterMenuSelection;
-      }
-      else {
+      } else {
+        // The player who pressed the key plays with the computer on the other side.
         if (this.keyboardArray[0].powerHit === 1) {
           this.physics.player1.isComputer = false;
-          this.physics.player2.isComputer = false;
-          this.audio.sounds.pikachu.play();
-          this.frameCounter = 0;
-          this.noInputFrameCounter = 0;
-          this.state = this.afterMenuSelection;
+          this.physics.player2.isComputer = true;
         } else if (this.keyboardArray[1].powerHit === 1) {
-          this.physics.player1.isComputer = false;
+          this.physics.player1.isComputer = true;
           this.physics.player2.isComputer = false;
-
-          this.audio.sounds.pikachu.play();
-          this.frameCounter = 0;
-          this.noInputFrameCounter = 0;
-          this.state = this.afterMenuSelection;
         }
       }
-      
-      
+      this.audio.sounds.pikachu.play();
+      this.frameCounter = 0;
+      this.noInputFrameCounter = 0;
+      this.state = this.afterMenuSelection;
       return;
     }
 
-    /*if (this.noInputFrameCounter >= this.noInputFrameTotal.menu) {
-      this.physics.player1.isComputer = true;
-      this.physics.player2.isComputer = true;
+    if (this.noInputFrameCounter >= this.noInputFrameTotal.menu) {
+      this.startDemo();
       this.frameCounter = 0;
       this.noInputFrameCounter = 0;
       this.state = this.afterMenuSelection;
-    }*/
+    }
   }
 
   /**
@@ -304,22 +481,66 @@ export class PikachuVolleyball {
       this.gameEnded = false;
       this.roundEnded = false;
       this.isPlayer2Serve = false;
-      this.physics.player1.gameEnded = false;
-      this.physics.player1.isWinner = false;
-      this.physics.player2.gameEnded = false;
-      this.physics.player2.isWinner = false;
+      // Creating the teammates consumes random numbers, so it is done before seeding the RNG.
+      this.physics.setPlayersPerSide(this.playersPerSide);
+      const players = this.physics.players;
+      for (let i = 2; i < players.length; i++) {
+        // the teammate of a computer player is controlled by computer too
+        players[i].isComputer =
+          this.areTeammatesComputer || players[i - 2].isComputer;
+        players[i].computerDifficulty = players[i - 2].computerDifficulty;
+      }
+      for (const player of players) {
+        player.gameEnded = false;
+        player.isWinner = false;
+        player.sentOffFramesLeft = 0;
+      }
+      this.physics.goalkeeperArea = this.goalkeeperArea;
+      this.physics.field = this.field;
+      this.view.game.setField(this.field);
 
       this.scores[0] = 0;
       this.scores[1] = 0;
       this.view.game.drawScoresToScoreBoards(this.scores);
+      this.half = 1;
+      this.matchClockFrames = 0;
+      this.penaltyKicks = this.isPenaltiesMode ? [[], []] : null;
+      this.penaltyShooterSide = 0;
+      this.view.game.drawPenaltyKicks(null);
+      this.referee.reset();
+      this.freeKick = null;
+      this.drawCards(this.referee, this.physics);
+      this.view.game.drawFoulMessage(null);
+      this.drawMatchClock();
+      this.view.game.drawHalfTimeMessage(false);
+      this.view.game.drawExtraTimeMessage(false);
+      this.view.game.drawPenaltyShootoutMessage(false);
+      this.view.game.drawDrawMessage(false);
+
+      // The gameplay of a match is reproducible from this seed and the inputs.
+      if (this.netplay !== null) {
+        this.matchSeed = this.netplaySeed;
+        // An online match is not recorded, since its inputs are confirmed only after rollbacks.
+        this.replayRecorder.stop();
+      } else {
+        this.matchSeed =
+          this.fixedSeed === null ? generateSeed() : this.fixedSeed;
+        this.replayRecorder.startMatch(
+          this.matchSeed,
+          this.physics,
+          this.isPenaltiesMode
+        );
+      }
+      setCustomRng(createSeededRng(this.matchSeed));
+      this.netplayGoalFrame = -1;
+      this.goalReplayBuffer.clear();
 
-      this.physics.player1.initializeForNewRound(this.isPlayer2Serve);
-      this.physics.player2.initializeForNewRound(this.isPlayer2Serve);
-      this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
+      this.initializeForNextRound();
       this.view.game.drawPlayersAndBall(this.physics);
 
       this.view.fadeInOut.setBlackAlphaTo(1); // set black screen
       this.audio.sounds.bgm.play();
+      this.view.game.drawPressKeyMessage(this.isDemo);
     }
 
     this.view.game.drawGameStartMessage(
@@ -333,7 +554,7 @@ export class PikachuVolleyball {
     if (this.frameCounter >= this.frameTotal.startOfNewGame) {
       this.frameCounter = 0;
       this.view.fadeInOut.setBlackAlphaTo(0);
-      this.state = this.round;
+      this.state = this.nextRoundState;
     }
   }
 
@@ -346,24 +567,19 @@ export class PikachuVolleyball {
       this.keyboardArray[0].powerHit === 1 ||
       this.keyboardArray[1].powerHit === 1;
 
-    if (
-      this.physics.player1.isComputer === true &&
-      this.physics.player2.isComputer === true &&
-      pressedPowerHit
-    ) {
-      this.frameCounter = 0;
-      this.view.game.visible = false;
-      this.state = this.intro;
-      return;
-    }
-
-    const isBallInGoal = this.physics.runEngineForNextFrame(
-      this.keyboardArray
-    );
+    const userInputArray = this.sideKeyboardArray;
+    this.replayRecorder.recordFrame(userInputArray);
+    const isBallInGoal = this.physics.runEngineForNextFrame(userInputArray);
+    this.goalReplayBuffer.record(this.physics);
 
     this.playSoundEffect();
     this.view.game.drawPlayersAndBall(this.physics);
     this.view.game.drawCloudsAndWave();
+    this.drawMatchClock();
+    this.drawCards(this.referee, this.physics);
+    if (this.isDemo === true) {
+      this.drawPressKeyMessageBlinking();
+    }
 
     if (this.gameEnded === true) {
       this.view.game.drawGameEndMessage(this.frameCounter);
@@ -372,6 +588,9 @@ export class PikachuVolleyball {
         this.frameCounter >= this.frameTotal.gameEnd ||
         (this.frameCounter >= 70 && pressedPowerHit)
       ) {
+        this.endDemo();
+        this.resetSides();
+        this.view.game.drawDrawMessage(false);
         this.frameCounter = 0;
         this.view.game.visible = false;
         this.state = this.intro;
@@ -385,42 +604,39 @@ export class PikachuVolleyball {
       this.roundEnded === false &&
       this.gameEnded === false
       ) {
-      if (isBallInGoal === 1) {
-        this.isPlayer2Serve = true;
-        this.scores[1] += 1;
-        this.physics.player1.state = 6;
-        if (this.scores[1] >= this.winningScore && (!this.isDeuce || this.scores[1] >= this.scores[0] + 2)) {
-          this.gameEnded = true;
-          this.physics.player1.isWinner = false;
-          this.physics.player2.isWinner = true;
-          this.physics.player1.gameEnded = true;
-          this.physics.player2.gameEnded = true;
-        }
-      } else {
-        this.isPlayer2Serve = false;
-        this.scores[0] += 1;
-        this.physics.player2.state = 6;
-        if (this.scores[0] >= this.winningScore && (!this.isDeuce || this.scores[0] >= this.scores[1] + 2)) {
-          this.gameEnded = true;
-          this.physics.player1.isWinner = true;
-          this.physics.player2.isWinner = false;
-          this.physics.player1.gameEnded = true;
-          this.physics.player2.gameEnded = true;
-        }
-      }
-      this.view.game.drawScoresToScoreBoards(this.scores);
-      if (this.roundEnded === false && this.gameEnded === false) {
+      this.countGoal(isBallInGoal);
+      this.replayRecorder.recordGoal(this.gameEnded);
+      if (this.gameEnded === false) {
         this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
       }
-      this.roundEnded = true;
-      this.physics.ball.thrower = 0;
     }
 
-    if (this.roundEnded === true && this.gameEnded === false) {
-      const nowDeuce = (this.scores[0] >= this.winningScore && this.scores[0] < this.scores[1] + 2) || (this.scores[1] >= this.winningScore && this.scores[1] < this.scores[0] + 2) || (this.scores[0] == this.winningScore - 1 && this.scores[1] == this.winningScore - 1);
-      if (this.isDeuce && nowDeuce && this.slowMotionFramesLeft % 2 === 0) {
-        this.view.game.toggleDeuceMessage();
+    const foul = this.referee.judge(this.physics);
+    if (
+      foul !== null &&
+      this._isPracticeMode === false &&
+      this.roundEnded === false &&
+      this.gameEnded === false
+    ) {
+      this.callFoul(foul);
+      this.replayRecorder.recordFoul(foul);
+      this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
+    }
+
+    if (
+      this.isTimedMatch &&
+      this._isPracticeMode === false &&
+      this.roundEnded === false
+    ) {
+      this.matchClockFrames++;
+      if (this.matchClockFrames >= this.periodLengthFrames) {
+        this.endHalfByTime();
+        return;
       }
+    }
+
+    if (this.roundEnded === true && this.gameEnded === false) {
+      this.drawDeuceMessageBlinking();
       // if this is the last frame of this round, begin fade out
       if (this.slowMotionFramesLeft === 0) {
         this.view.fadeInOut.changeBlackAlphaBy(1 / 16); // fade out
@@ -430,6 +646,458 @@ export class PikachuVolleyball {
     }
   }
 
+  /**
+   * Count the goal scored on this frame and end the round
+   * (and the game if the winning score is reached, or if it is the golden goal of the extra time)
+   * @param {number} isBallInGoal return value of {@link PikaPhysics.runEngineForNextFrame}, 1 or 2
+   */
+  countGoal(isBallInGoal) {
+    // the players of the side which conceded the goal are down
+    this.physics.setLosingMotion(isBallInGoal === 2);
+    if (isBallInGoal === 1) {
+      this.isPlayer2Serve = true;
+      this.scores[1] += 1;
+      if (this.half === 3 || (!this.isTimedMatch && this.scores[1] >= this.winningScore && (!this.isDeuce || this.scores[1] >= this.scores[0] + 2))) {
+        this.gameEnded = true;
+        this.physics.endGame(1);
+      }
+    } else {
+      this.isPlayer2Serve = false;
+      this.scores[0] += 1;
+      if (this.half === 3 || (!this.isTimedMatch && this.scores[0] >= this.winningScore && (!this.isDeuce || this.scores[0] >= this.scores[1] + 2))) {
+        this.gameEnded = true;
+        this.physics.endGame(0);
+      }
+    }
+    this.view.game.drawScoresToScoreBoards(this.scores);
+    this.roundEnded = true;
+    this.physics.ball.thrower = 0;
+  }
+
+  /**
+   * Call the foul judged by the referee on this frame: book the offender and end the round,
+   * so that the next round starts with a free kick for the other player on the spot of the foul
+   * @param {import('./referee.js').FoulDecision} foul
+   */
+  callFoul(foul) {
+    this.referee.book(foul, this.physics);
+    const offender = this.physics.players[foul.offender - 1];
+    this.freeKick = { taker: offender.isPlayer2 ? 1 : 2, x: foul.spotX };
+    this.roundEnded = true;
+    this.physics.ball.thrower = 0;
+    if (foul.card === CARD.RED) {
+      this.view.game.drawFoulMessage('RED CARD');
+    } else if (foul.card === CARD.YELLOW) {
+      this.view.game.drawFoulMessage('YELLOW CARD');
+    } else {
+      this.view.game.drawFoulMessage('FOUL');
+    }
+  }
+
+  /**
+   * Draw the cards of the players kept by the referee
+   * @param {Referee} referee
+   * @param {PikaPhysics} physics
+   */
+  drawCards(referee, physics) {
+    const isSentOff = [false, false];
+    for (const player of physics.players) {
+      if (player.sentOffFramesLeft > 0) {
+        isSentOff[player.isPlayer2 ? 1 : 0] = true;
+      }
+    }
+    this.view.game.drawCards(referee.yellowCards, isSentOff);
+  }
+
+  /**
+   * End the half (or the extra time) of a timed match when its time is up: go to the half-time break after the first half.
+   * After the second half and the extra time, end the game, unless the scores are level and {@link tieBreaker} decides it.
+   */
+  endHalfByTime() {
+    this.roundEnded = true;
+    const isLevel = this.scores[0] === this.scores[1];
+    const hasNextPeriod =
+      this.half === 1 || (isLevel && this.half === 2 && this.hasExtraTime);
+    if (!hasNextPeriod && isLevel && this.hasPenaltyShootout) {
+      this.penaltyKicks = [[], []];
+      this.penaltyShooterSide = 0;
+    }
+    if (hasNextPeriod || this.penaltyKicks !== null) {
+      this.replayRecorder.recordTimeUp(false);
+      this.frameCounter = 0;
+      this.state = this.halfTime;
+      return;
+    }
+    this.gameEnded = true;
+    this.physics.endGame(decideWinnerSide(this.scores));
+    this.replayRecorder.recordTimeUp(true);
+    if (this.scores[0] === this.scores[1]) {
+      this.view.game.drawDrawMessage(true);
+    }
+  }
+
+  /**
+   * Swap the sides of the players, for the side swap at half time of a timed match.
+   * The player controlled by each keyboard (or the computer) moves to the other side,
+   * so the controller settings and the scores of the players are swapped between the sides.
+   */
+  swapSides() {
+    this.physics.swapPlayerSettings();
+    this.scores.reverse();
+    this.referee.swapSides();
+    this.view.game.drawScoresToScoreBoards(this.scores);
+    this.isSideSwapped = !this.isSideSwapped;
+  }
+
+  /**
+   * Put the players back on their own sides if the sides are swapped
+   */
+  resetSides() {
+    if (this.isSideSwapped === true) {
+      this.swapSides();
+    }
+  }
+
+  /**
+   * Keyboards for the players on the field (see {@link PikaPhysics.players}),
+   * which are swapped between the left side and the right side if the sides are swapped
+   * @return {PikaKeyboard[]}
+   */
+  get sideKeyboardArray() {
+    const keyboardArray = this.keyboardArray;
+    const sideKeyboardArray =
+      this.isSideSwapped === true
+        ? [keyboardArray[1], keyboardArray[0], keyboardArray[3], keyboardArray[2]]
+        : keyboardArray;
+    return sideKeyboardArray.slice(0, this.physics.players.length);
+  }
+
+  /**
+   * Set up a team match, or a match between two players, from the next match.
+   * The keyboards for the teammates listen to their keys only if they control the teammates.
+   * @param {number} playersPerSide 1, or 2 for a team match
+   * @param {boolean} areTeammatesComputer are the teammates controlled by computer, rather than by keyboards?
+   */
+  setTeamPlay(playersPerSide, areTeammatesComputer) {
+    this.playersPerSide = playersPerSide;
+    this.areTeammatesComputer = areTeammatesComputer;
+    for (const keyboard of this.keyboardArray.slice(2)) {
+      keyboard.unsubscribe();
+      if (playersPerSide === 2 && areTeammatesComputer === false) {
+        keyboard.subscribe();
+      }
+    }
+  }
+
+  /**
+   * Change the keys of the keyboards. The keyboards are recreated with the new keys.
+   * @param {import('./keyboard.js').KeyBinding[]} keyBindings [0] for player1, [1] for player2, [2] for player3, [3] for player4
+   */
+  setKeyBindings(keyBindings) {
+    for (const keyboard of this.keyboardArray) {
+      keyboard.unsubscribe();
+    }
+    this.keyBindings = keyBindings.map((keyBinding) => ({ ...keyBinding }));
+    this.keyboardArray = this.keyBindings.map(createKeyboard);
+    // subscribe the keyboards for the teammates only if they are used
+    this.setTeamPlay(this.playersPerSide, this.areTeammatesComputer);
+  }
+
+  /**
+   * Assign the gamepad to the player, whom it controls together with the keyboard of the player
+   * @param {number} gamepadIndex index of the gamepad in {@link gamepadArray}
+   * @param {number} playerIndex 0: player 1, 1: player 2, 2: player 3, 3: player 4, -1: no one
+   */
+  setGamepadPlayer(gamepadIndex, playerIndex) {
+    this.gamepadPlayerIndices[gamepadIndex] = playerIndex;
+  }
+
+  /**
+   * Index of the player (of keyboardArray) whom the gamepad controls now:
+   * the player assigned to it, or the local player of an online match (see {@link NETPLAY_KEYBOARD_INDEX}) if it is assigned to anyone
+   * @param {number} gamepadIndex index of the gamepad in {@link gamepadArray}
+   * @return {number} -1 if it controls no one
+   */
+  getGamepadPlayerIndex(gamepadIndex) {
+    const playerIndex = this.gamepadPlayerIndices[gamepadIndex];
+    if (this.netplay !== null && playerIndex !== -1) {
+      return this.NETPLAY_KEYBOARD_INDEX;
+    }
+    return playerIndex;
+  }
+
+  /**
+   * Set the on-screen touch pads
+   * @param {import('./touch.js').PikaTouchPad[]} touchPadArray [0] on the left half of the screen, [1] on the right half
+   */
+  setTouchPads(touchPadArray) {
+    for (const touchPad of this.touchPadArray) {
+      touchPad.unsubscribe();
+    }
+    this.touchPadArray = touchPadArray;
+  }
+
+  /**
+   * Index of the player (of keyboardArray) whom the touch pad on the side of the screen controls:
+   * the player on that side of the field, or the local player of an online match (see {@link NETPLAY_KEYBOARD_INDEX}) whichever side is touched
+   * @param {number} side 0: left half of the screen, 1: right half
+   * @return {number}
+   */
+  getTouchPadPlayerIndex(side) {
+    if (this.netplay !== null) {
+      return this.NETPLAY_KEYBOARD_INDEX;
+    }
+    return this.isSideSwapped === true ? 1 - side : side;
+  }
+
+  /** @return {boolean} Is the match timed, rather than ended by the winning score? */
+  get isTimedMatch() {
+    return this.halfLengthFrames > 0 && !this.isPenaltiesMode;
+  }
+
+  /** @return {number} length of the current period in frames: the extra time is half as long as a half */
+  get periodLengthFrames() {
+    if (this.half === 3) {
+      return Math.round(this.halfLengthFrames / 2);
+    }
+    return this.halfLengthFrames;
+  }
+
+  /** @return {boolean} Is a timed match which is level after the second half decided by golden goal extra time? */
+  get hasExtraTime() {
+    return (
+      this.tieBreaker === 'goldenGoal' ||
+      this.tieBreaker === 'goldenGoalThenPenalties'
+    );
+  }
+
+  /** @return {boolean} Is a timed match which is still level at the end decided by penalty shootout? */
+  get hasPenaltyShootout() {
+    return (
+      this.tieBreaker === 'penalties' ||
+      this.tieBreaker === 'goldenGoalThenPenalties'
+    );
+  }
+
+  /**
+   * Draw the match clock, which shows the time elapsed in the match, if the match is timed
+   */
+  drawMatchClock() {
+    if (!this.isTimedMatch) {
+      this.view.game.drawMatchClock(null);
+      return;
+    }
+    if (this.penaltyKicks !== null) {
+      this.view.game.drawMatchClock('PK');
+      return;
+    }
+    const seconds = Math.floor(
+      ((this.half - 1) * this.halfLengthFrames + this.matchClockFrames) /
+        this.MATCH_CLOCK_FPS
+    );
+    const period = this.half === 3 ? 'ET' : `${this.half}H`;
+    this.view.game.drawMatchClock(
+      `${period} ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+        2,
+        '0'
+      )}`
+    );
+  }
+
+  /**
+   * Blink "DEUCE" message on the slow motion after a goal, if it is deuce now
+   */
+  drawDeuceMessageBlinking() {
+    const nowDeuce = (this.scores[0] >= this.winningScore && this.scores[0] < this.scores[1] + 2) || (this.scores[1] >= this.winningScore && this.scores[1] < this.scores[0] + 2) || (this.scores[0] == this.winningScore - 1 && this.scores[1] == this.winningScore - 1);
+    if (this.isDeuce && !this.isTimedMatch && nowDeuce && this.slowMotionFramesLeft % 2 === 0) {
+      this.view.game.toggleDeuceMessage();
+    }
+  }
+
+  /**
+   * Round of an online match: the physics frames are run by the netplay session
+   * with the local input and the (predicted) input of the other peer.
+   * The end of the round and the game is processed only after the inputs up to the goal are confirmed.
+   * @type {GameState}
+   */
+  netplayRound() {
+    const netplay = this.netplay;
+    if (netplay.closed === true) {
+      // the other peer left the match
+      this.restart();
+      return;
+    }
+    const keyboard = this.keyboardArray[this.NETPLAY_KEYBOARD_INDEX];
+
+    if (
+      this.roundEnded === true &&
+      this.gameEnded === false &&
+      netplay.frame > this.netplayGoalFrame + this.SLOW_MOTION_FRAMES_NUM
+    ) {
+      // wait for the inputs of the other peer up to the end of the round
+      netplay.update();
+    } else if (
+      netplay.advance(keyboard) &&
+      this.roundEnded === true &&
+      this.gameEnded === false &&
+      netplay.frame - 1 === this.netplayGoalFrame
+    ) {
+      this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
+    }
+
+    this.playSoundEffect();
+    this.view.game.drawPlayersAndBall(this.physics);
+    // the scores and the cards may be changed by a rollback
+    this.view.game.drawScoresToScoreBoards(this.scores);
+    this.drawCards(this.referee, this.physics);
+    this.view.game.drawCloudsAndWave();
+
+    if (this.gameEnded === true) {
+      if (netplay.confirmedFrame < this.netplayGoalFrame) {
+        return;
+      }
+      this.view.game.drawGameEndMessage(this.frameCounter);
+      this.frameCounter++;
+      if (
+        this.frameCounter >= this.frameTotal.gameEnd ||
+        (this.frameCounter >= 70 && keyboard.powerHit === 1)
+      ) {
+        this.restart();
+      }
+      return;
+    }
+
+    if (this.roundEnded === true) {
+      if (this.slowMotionFramesLeft > 0) {
+        this.drawDeuceMessageBlinking();
+      }
+      const roundEndFrame = this.netplayGoalFrame + this.SLOW_MOTION_FRAMES_NUM;
+      if (
+        netplay.frame > roundEndFrame &&
+        netplay.confirmedFrame >= roundEndFrame
+      ) {
+        // The frames after the end of the round are simulated again on the next round.
+        netplay.rewindTo(roundEndFrame + 1);
+        this.slowMotionFramesLeft = 0;
+        this.view.fadeInOut.changeBlackAlphaBy(1 / 16); // fade out
+        this.view.game.drawDeuceMessage(false);
+        this.state = this.afterEndOfRound;
+      }
+    }
+  }
+
+  /**
+   * Simulate a physics frame of the online match. It is called by the netplay session.
+   * @param {number} frame
+   * @param {PikaUserInput[]} userInputArray [0] for player 1, [1] for player 2
+   */
+  simulateNetplayFrame(frame, userInputArray) {
+    if (
+      this.roundEnded === true &&
+      this.gameEnded === false &&
+      frame > this.netplayGoalFrame + this.SLOW_MOTION_FRAMES_NUM
+    ) {
+      // the round is over on this frame
+      return;
+    }
+    const isBallInGoal = this.physics.runEngineForNextFrame(userInputArray);
+    this.goalReplayBuffer.record(this.physics);
+    if (
+      isBallInGoal > 0 &&
+      this.roundEnded === false &&
+      this.gameEnded === false
+    ) {
+      this.countGoal(isBallInGoal);
+      this.netplayGoalFrame = frame;
+    }
+    const foul = this.referee.judge(this.physics);
+    if (
+      foul !== null &&
+      this.roundEnded === false &&
+      this.gameEnded === false
+    ) {
+      this.callFoul(foul);
+      this.netplayGoalFrame = frame;
+    }
+  }
+
+  /**
+   * Take a snapshot of the match: the physics (see {@link PikaPhysics.snapshot}), the scores, the round flags, the match clock and the penalty shootout
+   * @return {MatchSnapshot}
+   */
+  snapshotMatch() {
+    return {
+      physics: this.physics.snapshot(),
+      scores: this.scores.slice(),
+      roundEnded: this.roundEnded,
+      gameEnded: this.gameEnded,
+      isPlayer2Serve: this.isPlayer2Serve,
+      yellowCards: this.referee.yellowCards.slice(),
+      freeKick: this.freeKick,
+      halfLengthFrames: this.halfLengthFrames,
+      isPenaltiesMode: this.isPenaltiesMode,
+      half: this.half,
+      matchClockFrames: this.matchClockFrames,
+      isSideSwapped: this.isSideSwapped,
+      tieBreaker: this.tieBreaker,
+      penaltyKicks:
+        this.penaltyKicks === null
+          ? null
+          : this.penaltyKicks.map((kicks) => kicks.slice()),
+      penaltyShooterSide: this.penaltyShooterSide,
+    };
+  }
+
+  /**
+   * Restore the match to the snapshot taken by {@link snapshotMatch}
+   * @param {MatchSnapshot} snapshot
+   */
+  restoreMatch(snapshot) {
+    this.physics.restore(snapshot.physics);
+    this.scores[0] = snapshot.scores[0];
+    this.scores[1] = snapshot.scores[1];
+    this.roundEnded = snapshot.roundEnded;
+    this.gameEnded = snapshot.gameEnded;
+    this.isPlayer2Serve = snapshot.isPlayer2Serve;
+    this.referee.yellowCards = snapshot.yellowCards.slice();
+    this.freeKick = snapshot.freeKick;
+    this.halfLengthFrames = snapshot.halfLengthFrames;
+    this.isPenaltiesMode = snapshot.isPenaltiesMode;
+    this.half = snapshot.half;
+    this.matchClockFrames = snapshot.matchClockFrames;
+    // The controller settings of the players on each side are in the physics snapshot, so only the flag is restored.
+    this.isSideSwapped = snapshot.isSideSwapped;
+    this.tieBreaker = snapshot.tieBreaker;
+    this.penaltyKicks =
+      snapshot.penaltyKicks === null
+        ? null
+        : snapshot.penaltyKicks.map((kicks) => kicks.slice());
+    this.penaltyShooterSide = snapshot.penaltyShooterSide;
+  }
+
+  /**
+   * Save the game state of the online match for rollback. It is called by the netplay session.
+   * @return {Object}
+   */
+  saveNetplayState() {
+    return {
+      match: this.snapshotMatch(),
+      netplayGoalFrame: this.netplayGoalFrame,
+      // the buffered frames are not modified, so copying the array is enough
+      goalReplayFrames: this.goalReplayBuffer.frames.slice(),
+    };
+  }
+
+  /**
+   * Restore the game state of the online match saved by {@link saveNetplayState}. It is called by the netplay session.
+   * @param {Object} state
+   */
+  loadNetplayState(state) {
+    this.restoreMatch(state.match);
+    this.netplayGoalFrame = state.netplayGoalFrame;
+    this.goalReplayBuffer.frames = state.goalReplayFrames.slice();
+  }
+
   /**
    * Fade out after end of round
    * @type {GameState}
@@ -439,6 +1107,159 @@ export class PikachuVolleyball {
     this.frameCounter++;
     if (this.frameCounter >= this.frameTotal.afterEndOfRound) {
       this.frameCounter = 0;
+      this.state = this.goalReplay;
+    }
+  }
+
+  /**
+   * Half time: the break after a period of a timed match.
+   * The sides are swapped after the first half, and the extra time or the penalty shootout follows the second half.
+   * @type {GameState}
+   */
+  halfTime() {
+    if (this.frameCounter === 0) {
+      this.drawBreakMessage(true);
+    }
+    this.view.game.drawCloudsAndWave();
+    this.frameCounter++;
+    if (this.frameCounter > this.frameTotal.halfTime - 16) {
+      this.view.fadeInOut.changeBlackAlphaBy(1 / 16); // fade out
+    }
+
+    if (this.frameCounter >= this.frameTotal.halfTime) {
+      this.frameCounter = 0;
+      this.drawBreakMessage(false);
+      this.goalReplayBuffer.clear();
+      if (this.penaltyKicks === null) {
+        if (this.half === 1) {
+          this.swapSides();
+          // The player who did not kick off the first half kicks off the second half, on the left side now.
+          this.isPlayer2Serve = false;
+        }
+        this.half++;
+        this.matchClockFrames = 0;
+      }
+      this.state = this.beforeStartOfNextRound;
+    }
+  }
+
+  /**
+   * Draw the message of the break after the current period: "HALF TIME", "EXTRA TIME" or "PENALTY SHOOTOUT"
+   * @param {boolean} bool turn on?
+   */
+  drawBreakMessage(bool) {
+    if (this.penaltyKicks !== null) {
+      this.view.game.drawPenaltyShootoutMessage(bool);
+    } else if (this.half === 1) {
+      this.view.game.drawHalfTimeMessage(bool);
+    } else {
+      this.view.game.drawExtraTimeMessage(bool);
+    }
+  }
+
+  /**
+   * Penalty kick of the penalty shootout: the shooter tries to score against the keeper confined to the goal area.
+   * The kick is a goal if the ball gets in the goal of the keeper,
+   * and a miss if the ball goes back over the center line or the time for the kick runs out.
+   * @type {GameState}
+   */
+  penaltyKick() {
+    const userInputArray = this.sideKeyboardArray;
+    this.replayRecorder.recordFrame(userInputArray);
+    const isBallInGoal = this.physics.runEngineForNextFrame(userInputArray);
+    this.goalReplayBuffer.record(this.physics);
+
+    this.playSoundEffect();
+    this.view.game.drawPlayersAndBall(this.physics);
+    this.view.game.drawCloudsAndWave();
+    if (this.isDemo === true) {
+      this.drawPressKeyMessageBlinking();
+    }
+
+    if (this.roundEnded === false) {
+      this.frameCounter++;
+      // isBallInGoal === 1: ball is in the goal of player 1, who keeps the goal if player 2 shoots
+      const isGoal = isBallInGoal === 2 - this.penaltyShooterSide;
+      if (
+        isGoal ||
+        this.physics.isPenaltyKickCleared() ||
+        this.frameCounter >= this.frameTotal.penaltyKick
+      ) {
+        this.frameCounter = 0;
+        this.countPenaltyKick(isGoal);
+      }
+      return;
+    }
+
+    // if this is the last frame of this penalty kick, begin fade out
+    if (this.slowMotionFramesLeft === 0) {
+      this.view.fadeInOut.changeBlackAlphaBy(1 / 16); // fade out
+      this.state = this.afterEndOfRound;
+    }
+  }
+
+  /**
+   * Count the penalty kick ended on this frame, and end the game if the penalty shootout is decided
+   * @param {boolean} isGoal
+   */
+  countPenaltyKick(isGoal) {
+    this.penaltyKicks[this.penaltyShooterSide].push(isGoal);
+    this.replayRecorder.recordPenaltyKick(isGoal);
+    this.view.game.drawPenaltyKicks(this.penaltyKicks);
+    if (this.isPenaltiesMode && isGoal) {
+      this.scores[this.penaltyShooterSide] += 1;
+      this.view.game.drawScoresToScoreBoards(this.scores);
+    }
+    this.roundEnded = true;
+    if (!isGoal) {
+      // only a goal is shown in the instant replay
+      this.goalReplayBuffer.clear();
+    }
+
+    const winnerSide = decidePenaltyShootout(this.penaltyKicks);
+    if (winnerSide === -1) {
+      this.penaltyShooterSide = 1 - this.penaltyShooterSide;
+      this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
+      return;
+    }
+    this.gameEnded = true;
+    this.physics.endGame(winnerSide);
+    this.replayRecorder.recordPenaltyShootoutEnd(winnerSide + 1);
+    // the game end is shown as on the round
+    this.state = this.round;
+  }
+
+  /**
+   * Goal replay: play back the build-up of the goal in slow motion, skippable by power hit key
+   * @type {GameState}
+   */
+  goalReplay() {
+    const frames = this.goalReplayBuffer.frames;
+    if (this.frameCounter === 0) {
+      this.view.fadeInOut.setBlackAlphaTo(0);
+      this.view.game.drawReplayMessage(true);
+    }
+
+    const frameIndex = Math.floor(
+      this.frameCounter / this.GOAL_REPLAY_SLOW_MOTION_RATE
+    );
+    if (frameIndex < frames.length) {
+      this.view.game.drawPlayersAndBall(frames[frameIndex]);
+    }
+    this.view.game.drawCloudsAndWave();
+    this.frameCounter++;
+    if (this.frameCounter % 10 === 0) {
+      this.view.game.toggleReplayMessage();
+    }
+
+    if (
+      this.keyboardArray[0].powerHit === 1 ||
+      this.keyboardArray[1].powerHit === 1 ||
+      this.frameCounter >= frames.length * this.GOAL_REPLAY_SLOW_MOTION_RATE
+    ) {
+      this.frameCounter = 0;
+      this.goalReplayBuffer.clear();
+      this.view.game.drawReplayMessage(false);
       this.state = this.beforeStartOfNextRound;
     }
   }
@@ -451,11 +1272,13 @@ export class PikachuVolleyball {
     if (this.frameCounter === 0) {
       this.view.fadeInOut.setBlackAlphaTo(1);
       this.view.game.drawReadyMessage(false);
+      this.view.game.drawFoulMessage(
+        this.freeKick !== null ? 'FREE KICK' : null
+      );
 
-      this.physics.player1.initializeForNewRound(this.isPlayer2Serve);
-      this.physics.player2.initializeForNewRound(this.isPlayer2Serve);
-      this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
+      this.initializeForNextRound();
       this.view.game.drawPlayersAndBall(this.physics);
+      this.drawMatchClock();
     }
 
     this.view.game.drawCloudsAndWave();
@@ -469,23 +1292,299 @@ export class PikachuVolleyball {
     if (this.frameCounter >= this.frameTotal.beforeStartOfNextRound) {
       this.frameCounter = 0;
       this.view.game.drawReadyMessage(false);
+      this.view.game.drawFoulMessage(null);
       this.view.fadeInOut.setBlackAlphaTo(0);
       this.roundEnded = false;
-      this.state = this.round;
+      this.state = this.nextRoundState;
+    }
+  }
+
+  /**
+   * Initialize the players and the ball for the next round, for the free kick awarded on the last round,
+   * or for the next penalty kick in the penalty shootout, and start recording it
+   */
+  initializeForNextRound() {
+    if (this.penaltyKicks !== null) {
+      const isPlayer2Shooter = this.penaltyShooterSide === 1;
+      this.physics.initializeForPenaltyKick(isPlayer2Shooter);
+      this.replayRecorder.startRound(
+        this.isPlayer2Serve,
+        this.physics,
+        this.isSideSwapped,
+        isPlayer2Shooter ? 2 : 1
+      );
+      this.view.game.drawPenaltyKicks(this.penaltyKicks);
+      return;
+    }
+    if (this.freeKick !== null) {
+      const freeKick = this.freeKick;
+      this.physics.initializeForFreeKick(freeKick.taker === 2, freeKick.x);
+      this.replayRecorder.startRound(
+        this.isPlayer2Serve,
+        this.physics,
+        this.isSideSwapped,
+        0,
+        freeKick.taker,
+        freeKick.x
+      );
+      this.freeKick = null;
+      return;
+    }
+    this.physics.initializeForNewRound(this.isPlayer2Serve);
+    this.replayRecorder.startRound(
+      this.isPlayer2Serve,
+      this.physics,
+      this.isSideSwapped
+    );
+  }
+
+  /**
+   * The game state in which the next round is played
+   * @return {GameState}
+   */
+  get nextRoundState() {
+    if (this.penaltyKicks !== null) {
+      return this.penaltyKick;
+    }
+    return this.netplay !== null ? this.netplayRound : this.round;
+  }
+
+  /**
+   * Replay: play back the replay loaded by {@link startReplay}
+   * @type {GameState}
+   */
+  replay() {
+    const replayPlayer = this.replayPlayer;
+    if (this.frameCounter === 0) {
+      this.view.game.visible = true;
+      this.view.fadeInOut.setBlackAlphaTo(0);
+      this.audio.sounds.bgm.play();
+      this.frameCounter++;
+    }
+
+    if (this.isReplayPaused === false && !replayPlayer.ended) {
+      this.replayStepProgress += this.replaySpeed;
+      while (this.replayStepProgress >= 1) {
+        this.replayStepProgress -= 1;
+        replayPlayer.step();
+      }
+      this.playSoundEffect(replayPlayer.physics);
+    }
+    this.view.game.drawPlayersAndBall(replayPlayer.physics);
+    this.view.game.drawScoresToScoreBoards(replayPlayer.scores);
+    this.view.game.drawPenaltyKicks(replayPlayer.penaltyKicks);
+    this.drawCards(replayPlayer.referee, replayPlayer.physics);
+    this.view.game.drawCloudsAndWave();
+  }
+
+  /**
+   * Start playing back a replay
+   * @param {import('./replay.js').Replay} replay
+   */
+  startReplay(replay) {
+    this.restart();
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.view.game.setField(this.replayPlayer.physics.field);
+    this.isReplayPaused = false;
+    this.replayStepProgress = 0;
+    this.view.intro.visible = false;
+    this.state = this.replay;
+  }
+
+  /**
+   * Start an online match with the other peer connected by the transport.
+   * The host, who controls player 1, decides the seed and the rules and sends them to the guest, who controls player 2.
+   * @param {import('./netplay.js').Transport} transport
+   * @param {boolean} isHost
+   */
+  startNetplay(transport, isHost) {
+    if (isHost) {
+      const settings = {
+        type: 'start',
+        seed: this.fixedSeed === null ? generateSeed() : this.fixedSeed,
+        winningScore: this.winningScore,
+        isDeuce: this.isDeuce,
+        goalkeeperArea: this.goalkeeperArea,
+        field: this.field,
+      };
+      transport.send(settings);
+      this.beginNetplay(transport, 0, settings);
+    } else {
+      transport.setMessageHandler((message) => {
+        if (message.type === 'start') {
+          this.beginNetplay(transport, 1, message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Begin the online match with the settings decided by the host
+   * @param {import('./netplay.js').Transport} transport
+   * @param {number} localPlayerIndex 0: this peer controls player 1, 1: player 2
+   * @param {{seed: number, winningScore: number, isDeuce: boolean, goalkeeperArea: {width: number, height: number}, field: import('./physics.js').FieldConfig}} settings
+   */
+  beginNetplay(transport, localPlayerIndex, settings) {
+    this.restart();
+    this.settingsBeforeNetplay = {
+      winningScore: this.winningScore,
+      isPracticeMode: this.isPracticeMode,
+      isDeuce: this.isDeuce,
+      halfLengthFrames: this.halfLengthFrames,
+      isPenaltiesMode: this.isPenaltiesMode,
+      playersPerSide: this.playersPerSide,
+      goalkeeperArea: this.goalkeeperArea,
+      field: this.field,
+      physics: this.physics,
+    };
+    this.winningScore = settings.winningScore;
+    // An online match is not timed, since the half time is not synchronized between the peers.
+    this.halfLengthFrames = 0;
+    this.isPenaltiesMode = false;
+    // An online match is played between the two peers, so it is not a team match.
+    this.playersPerSide = 1;
+    this.isPracticeMode = false;
+    this.isDeuce = settings.isDeuce;
+    this.goalkeeperArea = settings.goalkeeperArea;
+    this.field = settings.field;
+    // Fresh physics, so that no state left from the previous matches differs between the peers.
+    // It keeps the computer difficulty, which the player can change during the match, for the games after it.
+    this.physics = new PikaPhysics(false, false, this.field);
+    this.physics.setComputerDifficulty(
+      this.settingsBeforeNetplay.physics.player1.computerDifficulty
+    );
+    this.netplaySeed = settings.seed;
+    this.netplay = new NetplaySession(transport, localPlayerIndex, {
+      saveState: () => this.saveNetplayState(),
+      loadState: (state) => this.loadNetplayState(state),
+      simulateFrame: (frame, userInputArray) =>
+        this.simulateNetplayFrame(frame, userInputArray),
+    });
+    this.view.intro.visible = false;
+    this.state = this.afterMenuSelection;
+  }
+
+  /**
+   * End the online match, if it is being played, and restore the settings it overrode
+   */
+  endNetplay() {
+    if (this.netplay === null) {
+      return;
+    }
+    this.netplay.close();
+    this.netplay = null;
+    const settings = this.settingsBeforeNetplay;
+    this.winningScore = settings.winningScore;
+    this.isPracticeMode = settings.isPracticeMode;
+    this.isDeuce = settings.isDeuce;
+    this.halfLengthFrames = settings.halfLengthFrames;
+    this.isPenaltiesMode = settings.isPenaltiesMode;
+    this.playersPerSide = settings.playersPerSide;
+    this.goalkeeperArea = settings.goalkeeperArea;
+    this.field = settings.field;
+    // The computer difficulty selected during the online match is applied to the restored physics.
+    const computerDifficulty = this.physics.player1.computerDifficulty;
+    this.physics = settings.physics;
+    this.physics.setComputerDifficulty(computerDifficulty);
+    this.settingsBeforeNetplay = null;
+  }
+
+  /**
+   * Start a demo match of the attract mode: two computers play in the next game mode of {@link demoModes}
+   */
+  startDemo() {
+    const demoMode = this.demoModes[this.demoModeIndex];
+    this.demoModeIndex = (this.demoModeIndex + 1) % this.demoModes.length;
+
+    const player1 = this.physics.player1;
+    const player2 = this.physics.player2;
+    this.settingsBeforeDemo = {
+      winningScore: this.winningScore,
+      isPracticeMode: this.isPracticeMode,
+      isDeuce: this.isDeuce,
+      halfLengthFrames: this.halfLengthFrames,
+      isPenaltiesMode: this.isPenaltiesMode,
+      playersPerSide: this.playersPerSide,
+      goalkeeperArea: this.goalkeeperArea,
+      field: this.field,
+      computerDifficulty: player1.computerDifficulty,
+    };
+    this.isDemo = true;
+    this.winningScore = demoMode.winningScore;
+    this.halfLengthFrames = demoMode.halfLengthFrames;
+    this.isPenaltiesMode = demoMode.isPenaltiesMode;
+    // The teammates of the computer players are controlled by computer too (see startOfNewGame).
+    this.playersPerSide = demoMode.playersPerSide;
+    this.goalkeeperArea = demoMode.goalkeeperArea;
+    this.field = demoMode.field;
+    this.isPracticeMode = false;
+    this.isDeuce = false;
+    player1.isComputer = true;
+    player2.isComputer = true;
+    player1.computerDifficulty = demoMode.computerDifficulties[0];
+    player2.computerDifficulty = demoMode.computerDifficulties[1];
+  }
+
+  /**
+   * End the demo match of the attract mode, if it is being played, and restore the settings it overrode
+   */
+  endDemo() {
+    if (this.isDemo === false) {
+      return;
+    }
+    const settings = this.settingsBeforeDemo;
+    this.winningScore = settings.winningScore;
+    this.isPracticeMode = settings.isPracticeMode;
+    this.isDeuce = settings.isDeuce;
+    this.halfLengthFrames = settings.halfLengthFrames;
+    this.isPenaltiesMode = settings.isPenaltiesMode;
+    this.playersPerSide = settings.playersPerSide;
+    this.goalkeeperArea = settings.goalkeeperArea;
+    this.field = settings.field;
+    this.physics.setComputerDifficulty(settings.computerDifficulty);
+    this.settingsBeforeDemo = null;
+    this.isDemo = false;
+    this.view.game.drawPressKeyMessage(false);
+  }
+
+  /**
+   * Blink "PRESS KEY" message on the demo match
+   */
+  drawPressKeyMessageBlinking() {
+    this.noInputFrameCounter++;
+    if (this.noInputFrameCounter % 15 === 0) {
+      this.view.game.togglePressKeyMessage();
+    }
+  }
+
+  /**
+   * Is there any key input, not only power hit, from any keyboard on this frame?
+   * @return {boolean}
+   */
+  isAnyKeyInput() {
+    for (const keyboard of this.keyboardArray) {
+      if (
+        keyboard.xDirection !== 0 ||
+        keyboard.yDirection !== 0 ||
+        keyboard.powerKeyDown === true
+      ) {
+        return true;
+      }
     }
+    return false;
   }
 
   /**
-   * Play sound effect on {@link round}
+   * Play sound effect on {@link round} (or {@link replay})
+   * @param {PikaPhysics} [physics] physics whose sound flags are consumed
    */
-  playSoundEffect() {
+  playSoundEffect(physics = this.physics) {
     const audio = this.audio;
-    for (let i = 0; i < 2; i++) {
-      const player = this.physics[`player${i + 1}`];
+    for (const player of physics.players) {
       const sound = player.sound;
       let leftOrCenterOrRight = 0;
       if (this.isStereoSound) {
-        leftOrCenterOrRight = i === 0 ? -1 : 1;
+        leftOrCenterOrRight = player.isPlayer2 ? 1 : -1;
       }
       if (sound.pipikachu === true) {
         audio.sounds.pipikachu.play(leftOrCenterOrRight);
@@ -500,7 +1599,7 @@ export class PikachuVolleyball {
         sound.chu = false;
       }
     }
-    const ball = this.physics.ball;
+    const ball = physics.ball;
     const sound = ball.sound;
     let leftOrCenterOrRight = 0;
     if (this.isStereoSound) {
@@ -518,16 +1617,32 @@ export class PikachuVolleyball {
       audio.sounds.ballTouchesGround.play(leftOrCenterOrRight);
       sound.ballTouchesGround = false;
     }
+    if (sound.header === true) {
+      audio.sounds.header.play(leftOrCenterOrRight);
+      sound.header = false;
+    }
+    if (sound.chestTrap === true) {
+      audio.sounds.chestTrap.play(leftOrCenterOrRight);
+      sound.chestTrap = false;
+    }
+    if (sound.kick === true) {
+      audio.sounds.kick.play(leftOrCenterOrRight);
+      sound.kick = false;
+    }
   }
 
   /**
    * Called if restart button clicked
    */
   restart() {
+    this.endDemo();
+    this.endNetplay();
+    this.resetSides();
     this.frameCounter = 0;
     this.noInputFrameCounter = 0;
     this.slowMotionFramesLeft = 0;
     this.slowMotionNumOfSkippedFrames = 0;
+    this.replayPlayer = null;
     this.view.menu.visible = false;
     this.view.game.visible = false;
     this.state = this.intro;
@@ -547,3 +1662,55 @@ export class PikachuVolleyball {
     this.view.game.scoreBoards[1].visible = !bool;
   }
 }
+
+/**
+ * Create a keyboard which listens to the keys of the key binding
+ * @param {import('./keyboard.js').KeyBinding} keyBinding
+ * @return {PikaKeyboard}
+ */
+function createKeyboard(keyBinding) {
+  return new PikaKeyboard(
+    keyBinding.left,
+    keyBinding.right,
+    keyBinding.up,
+    keyBinding.down,
+    keyBinding.powerHit
+  );
+}
+
+/**
+ * Decide the winner by the scores, at the end of a timed match
+ * @param {number[]} scores [0] for the left side, [1] for the right side
+ * @return {number} side of the winner, 0: left, 1: right, or -1 for a draw
+ */
+function decideWinnerSide(scores) {
+  if (scores[0] === scores[1]) {
+    return -1;
+  }
+  return scores[0] > scores[1] ? 0 : 1;
+}
+
+/**
+ * Decide the winner of the penalty shootout: the best of five kicks each, and then sudden death.
+ * The shootout is decided as soon as one side cannot be caught up by the kicks left of the first five,
+ * and in the sudden death, when a pair of kicks ends with a goal on one side only.
+ * @param {boolean[][]} penaltyKicks kicks taken by the player on each side, true for a goal
+ * @return {number} side of the winner, 0: left, 1: right, or -1 if not decided yet
+ */
+function decidePenaltyShootout(penaltyKicks) {
+  const goals = penaltyKicks.map((kicks) => kicks.filter(Boolean).length);
+  const taken = penaltyKicks.map((kicks) => kicks.length);
+  if (taken[0] <= 5 && taken[1] <= 5) {
+    if (goals[0] > goals[1] + 5 - taken[1]) {
+      return 0;
+    }
+    if (goals[1] > goals[0] + 5 - taken[0]) {
+      return 1;
+    }
+    return -1;
+  }
+  if (taken[0] === taken[1] && goals[0] !== goals[1]) {
+    return goals[0] > goals[1] ? 0 : 1;
+  }
+  return -1;
+}
@@ -35,3 +35,61 @@ export function rand() {
 export function setCustomRng(rng) {
   customRng = rng;
 }
+
+/**
+ * Get custom RNG function
+ * @return {RNG} custom RNG function, null if it is not set
+ */
+export function getCustomRng() {
+  return customRng;
+}
+
+/**
+ * Return random integer in [0, 32767] for cosmetic purposes (e.g. clouds and wave)
+ *
+ * It always uses "Math.random", a stream separate from the one of {@link rand},
+ * so the visual effects do not consume the random numbers of the seeded RNG
+ * and the gameplay of a seeded match is not affected by how many frames are rendered.
+ *
+ * @return {number} random integer
+ */
+export function randCosmetic() {
+  return Math.floor(32768 * Math.random());
+}
+
+/** @typedef {RNG & {getState: function():number, setState: function(number):void}} SeededRNG */
+
+/**
+ * Create a seeded RNG function which generates a random number in [0, 1)
+ *
+ * It uses the "mulberry32" algorithm, which is small and fast and has a 32-bit state.
+ * The same seed always generates the same sequence of random numbers,
+ * so a match played with the same seed and the same inputs can be reproduced exactly.
+ * The state can be read and written by getState and setState of the returned function.
+ *
+ * @param {number} seed integer in [0, 4294967295]
+ * @return {SeededRNG}
+ */
+export function createSeededRng(seed) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => state;
+  rng.setState = (newState) => {
+    state = newState >>> 0;
+  };
+  return rng;
+}
+
+/**
+ * Generate a new seed for {@link createSeededRng}
+ * @return {number} integer in [0, 4294967295]
+ */
+export function generateSeed() {
+  return Math.floor(4294967296 * Math.random());
+}
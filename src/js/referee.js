@@ -0,0 +1,137 @@
+/**
+ * Referee: judging the fouls, awarding the free kicks and booking the players
+ *
+ * The physics engine only flags the contact between the players which may be a foul
+ * (see {@link FOUL_CONTACT} and "foulContact" of a player in "physics.js").
+ * The referee judges it on the frame it happens, and the controller restarts the match with a free kick.
+ * A player who fouls recklessly is shown a yellow card, and the second yellow card is a red card,
+ * which sends the player off the field for a while (see "sentOffFramesLeft" of a player in "physics.js").
+ * In a team match, the cards are counted for each side, and the player who fouls is sent off by a red card.
+ */
+'use strict';
+import { FOUL_CONTACT } from './physics.js';
+
+/** @constant @type {Object.<string, number>} cards which the referee shows */
+export const CARD = {
+  NONE: 0,
+  YELLOW: 1,
+  RED: 2,
+};
+
+/** @constant @type {number} number of yellow cards which make a red card */
+const YELLOW_CARDS_FOR_RED_CARD = 2;
+/** @constant @type {number} number of physics frames for which a player shown a red card is sent off (10 seconds) */
+export const SEND_OFF_FRAMES = 300;
+
+/**
+ * @typedef {Object} FoulDecision
+ * @property {number} offender 1, 2, 3 or 4: the player who fouled (player 1 and player 3 are on the left side, see "players" of PikaPhysics)
+ * @property {number} foulContact one of {@link FOUL_CONTACT}
+ * @property {boolean} isFromBehind is it a slide tackle from behind the other player?
+ * @property {number} card one of {@link CARD}, shown to the offender
+ * @property {number} spotX x coord where the foul happened, where the other player takes the free kick
+ */
+
+/**
+ * Class representing a referee who judges the fouls and keeps the cards of the players
+ */
+export class Referee {
+  constructor() {
+    /** @type {number[]} number of yellow cards of the player (or the team) on each side ([0]: left, [1]: right) */
+    this.yellowCards = [0, 0];
+  }
+
+  /**
+   * Forget the cards, for a new match
+   */
+  reset() {
+    this.yellowCards = [0, 0];
+  }
+
+  /**
+   * Swap the cards between the sides, for the side swap at half time of a timed match
+   */
+  swapSides() {
+    this.yellowCards.reverse();
+  }
+
+  /**
+   * Judge the foul flagged by the physics engine on this frame, and clear the flag.
+   * A slide tackle from behind (to the back of the other player, who faces the goal it attacks)
+   * and a stomp are reckless, so they are booked with a yellow card.
+   * @param {import('./physics.js').PikaPhysics} physics
+   * @return {FoulDecision} null if there is no foul
+   */
+  judge(physics) {
+    let decision = null;
+    for (let i = 0; i < physics.players.length; i++) {
+      const player = physics.players[i];
+      if (player.foulContact === FOUL_CONTACT.NONE) {
+        continue;
+      }
+      if (decision === null) {
+        const side = player.isPlayer2 ? 1 : 0;
+        const theOtherPlayer = getFouledPlayer(physics.players, player);
+        // the direction to which the other player faces
+        const theOtherPlayerDirection = theOtherPlayer.isPlayer2 ? -1 : 1;
+        const isFromBehind =
+          player.foulContact === FOUL_CONTACT.SLIDE_TACKLE &&
+          player.divingDirection === theOtherPlayerDirection;
+        let card = CARD.NONE;
+        if (isFromBehind || player.foulContact === FOUL_CONTACT.STOMP) {
+          card =
+            this.yellowCards[side] + 1 >= YELLOW_CARDS_FOR_RED_CARD
+              ? CARD.RED
+              : CARD.YELLOW;
+        }
+        decision = {
+          offender: i + 1,
+          foulContact: player.foulContact,
+          isFromBehind: isFromBehind,
+          card: card,
+          spotX: theOtherPlayer.x,
+        };
+      }
+      player.foulContact = FOUL_CONTACT.NONE;
+    }
+    return decision;
+  }
+
+  /**
+   * Book the offender with the card of the decision. A player shown a red card is sent off,
+   * and comes back with no yellow card when the time of the send-off is up.
+   * @param {FoulDecision} decision
+   * @param {import('./physics.js').PikaPhysics} physics
+   */
+  book(decision, physics) {
+    const offender = physics.players[decision.offender - 1];
+    const side = offender.isPlayer2 ? 1 : 0;
+    if (decision.card === CARD.YELLOW) {
+      this.yellowCards[side] += 1;
+    } else if (decision.card === CARD.RED) {
+      this.yellowCards[side] = 0;
+      offender.sentOffFramesLeft = SEND_OFF_FRAMES;
+    }
+  }
+}
+
+/**
+ * The player who is fouled by the offender: the player of the other side closest to the offender,
+ * which is just the other player in a match between two players
+ * @param {import('./physics.js').Player[]} players
+ * @param {import('./physics.js').Player} offender
+ * @return {import('./physics.js').Player}
+ */
+function getFouledPlayer(players, offender) {
+  let fouledPlayer = null;
+  for (const player of players) {
+    if (
+      player.isPlayer2 !== offender.isPlayer2 &&
+      (fouledPlayer === null ||
+        Math.abs(player.x - offender.x) < Math.abs(fouledPlayer.x - offender.x))
+    ) {
+      fouledPlayer = player;
+    }
+  }
+  return fouledPlayer;
+}
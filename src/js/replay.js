@@ -0,0 +1,584 @@
+/**
+ * Match replay: recording the inputs of a match and playing them back
+ *
+ * The physics of a match is reproducible from the seed of the RNG (see "rand.js")
+ * and the user inputs given to {@link PikaPhysics.runEngineForNextFrame} on every frame.
+ * So a replay consists of them and the settings of the players,
+ * not the positions of the players and the ball.
+ */
+'use strict';
+import {
+  PikaPhysics,
+  PikaUserInput,
+  FOUL_CONTACT,
+  MAX_PLAYERS_PER_SIDE,
+  DEFAULT_FIELD,
+} from './physics.js';
+import { setCustomRng, createSeededRng } from './rand.js';
+import { Referee } from './referee.js';
+
+/** @constant @type {number} version of the replay format */
+export const REPLAY_VERSION = 1;
+
+/**
+ * @typedef {Object} ReplayRound
+ * @property {boolean} isPlayer2Serve will player 2 serve on this round?
+ * @property {string[]} computerDifficulties [j] for the j-th player of "players" of {@link PikaPhysics}
+ * @property {number[]} inputs encoded user inputs, [n * i + j] for the j-th player on the i-th frame of this round,
+ *                             where n is the number of players (e.g. [2 * i] for player 1 and [2 * i + 1] for player 2)
+ * @property {number} goalFrame the frame (in this round) on which a goal is counted, -1 if no goal is counted on this round
+ * @property {boolean} gameEnded does the game end by the goal (or by the time)?
+ * @property {boolean} [isSideSwapped] are the sides swapped on this round? (second half of a timed match)
+ * @property {number} [timeUpFrame] the frame (in this round) on which the time of the half is up, -1 if the time is not up on this round
+ * @property {number} [penaltyShooter] 1 or 2: the player who shoots if this round is a penalty kick of the penalty shootout, 0 otherwise
+ * @property {number} [penaltyKickEndFrame] the frame (in this round) on which the penalty kick ends, -1 if it does not end on this round
+ * @property {boolean} [isPenaltyGoal] is the penalty kick a goal?
+ * @property {number} [shootoutEndFrame] the frame (in this round) on which the penalty shootout is decided, -1 if it is not decided on this round
+ * @property {number} [shootoutWinner] 1 or 2: the player who wins the penalty shootout, if it is decided on this round
+ * @property {number} [freeKickTaker] 1 or 2: the player who takes the free kick if this round starts with a free kick, 0 otherwise
+ * @property {number} [freeKickX] x coord of the spot of the free kick
+ * @property {number} [foulFrame] the frame (in this round) on which the referee calls a foul, -1 if no foul is called on this round
+ * @property {import('./referee.js').FoulDecision} [foul] the decision of the referee on the foul
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} version version of the replay format
+ * @property {number} seed seed of the RNG for the match
+ * @property {boolean[]} isComputer [j] for the j-th player of "players" of {@link PikaPhysics} ([0] for player 1, [1] for player 2)
+ * @property {number[]} computerWhereToStandBy [j] for the j-th player, at the start of the match.
+ *                                            It is the only player property affecting the match which is carried over from the last match.
+ * @property {ReplayRound[]} rounds
+ * @property {boolean} [isPenaltiesMode] is the match played in the penalties mode? (the goals of the penalty kicks are the scores)
+ * @property {number} [playersPerSide] number of players on each side, 2 for a team match. 1 if omitted
+ * @property {{width: number, height: number}} [goalkeeperArea] the box where the goalkeepers may catch the ball
+ *                                                 (see "goalkeeperArea" of {@link PikaPhysics}). null if omitted
+ * @property {import('./physics.js').FieldConfig} [field] geometry of the pitch (see "field" of {@link PikaPhysics}).
+ *                                                {@link DEFAULT_FIELD} if omitted
+ */
+
+/**
+ * Class representing a recorder which records a match into a replay
+ */
+export class ReplayRecorder {
+  constructor() {
+    /** @type {Replay} replay being recorded (or recorded last), null if no match has been recorded */
+    this.replay = null;
+  }
+
+  /**
+   * Start recording a new match. It should be called before the start of the first round.
+   * @param {number} seed seed of the RNG for the match
+   * @param {PikaPhysics} physics
+   * @param {boolean} [isPenaltiesMode] is the match played in the penalties mode?
+   */
+  startMatch(seed, physics, isPenaltiesMode = false) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed: seed,
+      isComputer: physics.players.map((player) => player.isComputer),
+      computerWhereToStandBy: physics.players.map(
+        (player) => player.computerWhereToStandBy
+      ),
+      rounds: [],
+      isPenaltiesMode: isPenaltiesMode,
+      playersPerSide: physics.playersPerSide,
+      goalkeeperArea: physics.goalkeeperArea,
+      field: physics.field,
+    };
+  }
+
+  /**
+   * Start recording a new round. It should be called when the players and the ball are initialized for the round.
+   * @param {boolean} isPlayer2Serve will player 2 serve on this round?
+   * @param {PikaPhysics} physics
+   * @param {boolean} [isSideSwapped] are the sides swapped on this round?
+   * @param {number} [penaltyShooter] 1 or 2: the player who shoots if this round is a penalty kick, 0 otherwise
+   * @param {number} [freeKickTaker] 1 or 2: the player who takes the free kick if this round starts with a free kick, 0 otherwise
+   * @param {number} [freeKickX] x coord of the spot of the free kick
+   */
+  startRound(
+    isPlayer2Serve,
+    physics,
+    isSideSwapped = false,
+    penaltyShooter = 0,
+    freeKickTaker = 0,
+    freeKickX = 0
+  ) {
+    if (this.replay === null) {
+      return;
+    }
+    this.replay.rounds.push({
+      isPlayer2Serve: isPlayer2Serve,
+      computerDifficulties: physics.players.map(
+        (player) => player.computerDifficulty
+      ),
+      inputs: [],
+      goalFrame: -1,
+      gameEnded: false,
+      isSideSwapped: isSideSwapped,
+      timeUpFrame: -1,
+      penaltyShooter: penaltyShooter,
+      penaltyKickEndFrame: -1,
+      shootoutEndFrame: -1,
+      freeKickTaker: freeKickTaker,
+      freeKickX: freeKickX,
+      foulFrame: -1,
+    });
+  }
+
+  /**
+   * Stop recording and discard the replay, for a match which is not recorded
+   */
+  stop() {
+    this.replay = null;
+  }
+
+  /**
+   * Record the user inputs for this frame. It should be called right before {@link PikaPhysics.runEngineForNextFrame}.
+   * @param {PikaUserInput[]} userInputArray [j] for the j-th player of "players" of {@link PikaPhysics}
+   */
+  recordFrame(userInputArray) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    for (const userInput of userInputArray) {
+      round.inputs.push(encodeUserInput(userInput));
+    }
+  }
+
+  /**
+   * Index of the last recorded frame in the round
+   * @param {ReplayRound} round
+   * @return {number}
+   */
+  lastFrameOf(round) {
+    return round.inputs.length / getNumOfPlayers(this.replay) - 1;
+  }
+
+  /**
+   * Record that a goal is counted on the last recorded frame
+   * @param {boolean} gameEnded does the game end by the goal?
+   */
+  recordGoal(gameEnded) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    round.goalFrame = this.lastFrameOf(round);
+    round.gameEnded = gameEnded;
+  }
+
+  /**
+   * Record that the time of the half is up on the last recorded frame
+   * @param {boolean} gameEnded does the game end by the time?
+   */
+  recordTimeUp(gameEnded) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    round.timeUpFrame = this.lastFrameOf(round);
+    round.gameEnded = gameEnded;
+  }
+
+  /**
+   * Record that the penalty kick ends on the last recorded frame
+   * @param {boolean} isGoal is the penalty kick a goal?
+   */
+  recordPenaltyKick(isGoal) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    round.penaltyKickEndFrame = this.lastFrameOf(round);
+    round.isPenaltyGoal = isGoal;
+  }
+
+  /**
+   * Record that the penalty shootout is decided, and the game ends, on the last recorded frame
+   * @param {number} winner 1 or 2: the player who wins the penalty shootout
+   */
+  recordPenaltyShootoutEnd(winner) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    round.shootoutEndFrame = this.lastFrameOf(round);
+    round.shootoutWinner = winner;
+    round.gameEnded = true;
+  }
+
+  /**
+   * Record that the referee calls a foul on the last recorded frame
+   * @param {import('./referee.js').FoulDecision} decision
+   */
+  recordFoul(decision) {
+    const round = this.replay.rounds[this.replay.rounds.length - 1];
+    round.foulFrame = this.lastFrameOf(round);
+    round.foul = decision;
+  }
+}
+
+/**
+ * Class representing a player which plays back a replay by re-simulating the match
+ */
+export class ReplayPlayer {
+  /**
+   * Create a replay player
+   * @param {Replay} replay
+   */
+  constructor(replay) {
+    this.replay = replay;
+    /** @type {number} number of the players on the field */
+    this.numOfPlayers = getNumOfPlayers(replay);
+    /** @type {number} total number of frames of the replay */
+    this.totalFrames = 0;
+    for (const round of replay.rounds) {
+      this.totalFrames += round.inputs.length / this.numOfPlayers;
+    }
+    /** @type {PikaUserInput[]} [j] for the j-th player of "players" of {@link PikaPhysics} */
+    this.userInputArray = [];
+    for (let j = 0; j < this.numOfPlayers; j++) {
+      this.userInputArray.push(new PikaUserInput());
+    }
+    this.reset();
+  }
+
+  /**
+   * Go back to the start of the replay
+   */
+  reset() {
+    const replay = this.replay;
+    // The physics should be created before seeding the RNG, as it is created on loading the game,
+    // since creating players consumes random numbers.
+    const physics = new PikaPhysics(
+      replay.isComputer[0],
+      replay.isComputer[1],
+      replay.field === undefined ? DEFAULT_FIELD : replay.field
+    );
+    physics.setPlayersPerSide(this.numOfPlayers / 2);
+    physics.players.forEach((player, j) => {
+      player.isComputer = replay.isComputer[j];
+      player.computerWhereToStandBy = replay.computerWhereToStandBy[j];
+    });
+    physics.goalkeeperArea =
+      replay.goalkeeperArea === undefined ? null : replay.goalkeeperArea;
+    this.physics = physics;
+    setCustomRng(createSeededRng(replay.seed));
+    /** @type {number[]} [0] for player 1 score, [1] for player 2 score */
+    this.scores = [0, 0];
+    /** @type {number} number of frames played back */
+    this.frameCounter = 0;
+    /** @type {number} index of the round being played back */
+    this.roundIndex = 0;
+    /** @type {number} number of frames played back in the round */
+    this.frameCounterInRound = 0;
+    /** @type {boolean} Are the sides swapped? (second half of a timed match) */
+    this.isSideSwapped = false;
+    /** @type {boolean[][]} kicks taken in the penalty shootout by player 1 and player 2, true for a goal, null if no penalty shootout yet */
+    this.penaltyKicks = null;
+    /** @type {Referee} keeps the cards of the players */
+    this.referee = new Referee();
+    /** @type {boolean} Did the re-simulation go differently from the recorded match? */
+    this.isDesynced = false;
+  }
+
+  /** @return {boolean} Is the replay played back to the end? */
+  get ended() {
+    return this.frameCounter >= this.totalFrames;
+  }
+
+  /**
+   * Play back one frame
+   */
+  step() {
+    if (this.ended) {
+      return;
+    }
+    const physics = this.physics;
+    const round = this.replay.rounds[this.roundIndex];
+    if (this.frameCounterInRound === 0) {
+      if (this.roundIndex === 0) {
+        for (const player of physics.players) {
+          player.gameEnded = false;
+          player.isWinner = false;
+        }
+      }
+      if ((round.isSideSwapped === true) !== this.isSideSwapped) {
+        physics.swapPlayerSettings();
+        this.scores.reverse();
+        this.referee.swapSides();
+        this.isSideSwapped = !this.isSideSwapped;
+      }
+      physics.players.forEach((player, j) => {
+        player.computerDifficulty = round.computerDifficulties[j];
+      });
+      if (round.penaltyShooter > 0) {
+        if (this.penaltyKicks === null) {
+          this.penaltyKicks = [[], []];
+        }
+        physics.initializeForPenaltyKick(round.penaltyShooter === 2);
+      } else if (round.freeKickTaker > 0) {
+        physics.initializeForFreeKick(round.freeKickTaker === 2, round.freeKickX);
+      } else {
+        physics.initializeForNewRound(round.isPlayer2Serve);
+      }
+    }
+
+    const i = this.frameCounterInRound;
+    const n = this.numOfPlayers;
+    for (let j = 0; j < n; j++) {
+      decodeUserInput(round.inputs[n * i + j], this.userInputArray[j]);
+    }
+    const isBallInGoal = physics.runEngineForNextFrame(this.userInputArray);
+    if (i === round.goalFrame) {
+      this.countGoal(isBallInGoal, round.gameEnded);
+    } else if (i === round.timeUpFrame && round.gameEnded) {
+      this.endGameByTime();
+    }
+    if (i === round.penaltyKickEndFrame) {
+      this.countPenaltyKick(round.penaltyShooter, round.isPenaltyGoal);
+    }
+    if (i === round.shootoutEndFrame) {
+      this.endGameByPenaltyShootout(round.shootoutWinner);
+    }
+    if (i === round.foulFrame) {
+      this.callFoul(round.foul);
+    }
+
+    this.frameCounter++;
+    this.frameCounterInRound++;
+    if (this.frameCounterInRound >= round.inputs.length / n) {
+      this.roundIndex++;
+      this.frameCounterInRound = 0;
+    }
+  }
+
+  /**
+   * Count the goal as {@link PikachuVolleyball.round} does
+   * @param {number} isBallInGoal return value of {@link PikaPhysics.runEngineForNextFrame}
+   * @param {boolean} gameEnded does the game end by the goal?
+   */
+  countGoal(isBallInGoal, gameEnded) {
+    if (isBallInGoal === 0) {
+      this.isDesynced = true;
+      return;
+    }
+    const physics = this.physics;
+    // isBallInGoal === 1: ball is in the goal of player 1, so player 2 scored
+    const winnerSide = isBallInGoal === 1 ? 1 : 0;
+    this.scores[winnerSide] += 1;
+    physics.setLosingMotion(isBallInGoal === 2);
+    if (gameEnded) {
+      physics.endGame(winnerSide);
+    }
+    physics.ball.thrower = 0;
+  }
+
+  /**
+   * End the game by the time as {@link PikachuVolleyball.endHalfByTime} does
+   */
+  endGameByTime() {
+    let winnerSide = -1;
+    if (this.scores[0] !== this.scores[1]) {
+      winnerSide = this.scores[0] > this.scores[1] ? 0 : 1;
+    }
+    this.physics.endGame(winnerSide);
+  }
+
+  /**
+   * Count the penalty kick as {@link PikachuVolleyball.countPenaltyKick} does
+   * @param {number} shooter 1 or 2: the player who took the penalty kick
+   * @param {boolean} isGoal is the penalty kick a goal?
+   */
+  countPenaltyKick(shooter, isGoal) {
+    this.penaltyKicks[shooter - 1].push(isGoal);
+    if (this.replay.isPenaltiesMode === true && isGoal) {
+      this.scores[shooter - 1] += 1;
+    }
+  }
+
+  /**
+   * End the game by the penalty shootout as {@link PikachuVolleyball.countPenaltyKick} does
+   * @param {number} winner 1 or 2: the player who wins the penalty shootout
+   */
+  endGameByPenaltyShootout(winner) {
+    this.physics.endGame(winner - 1);
+  }
+
+  /**
+   * Book the foul as {@link PikachuVolleyball.callFoul} does
+   * @param {import('./referee.js').FoulDecision} decision
+   */
+  callFoul(decision) {
+    const offender = this.physics.players[decision.offender - 1];
+    if (offender.foulContact === FOUL_CONTACT.NONE) {
+      this.isDesynced = true;
+    }
+    offender.foulContact = FOUL_CONTACT.NONE;
+    this.referee.book(decision, this.physics);
+  }
+
+  /**
+   * Seek the frame by re-simulating the match from the start (or from the current frame if it is ahead)
+   * @param {number} frame
+   */
+  seek(frame) {
+    if (frame < this.frameCounter) {
+      this.reset();
+    }
+    while (this.frameCounter < frame && !this.ended) {
+      this.step();
+    }
+    // the sounds on the skipped frames should not be played
+    for (const object of [...this.physics.players, this.physics.ball]) {
+      for (const prop in object.sound) {
+        object.sound[prop] = false;
+      }
+    }
+  }
+}
+
+/**
+ * Class representing a rolling buffer of the states of the players and the ball on the last frames,
+ * which is used for the instant replay of a goal.
+ * Only the properties needed for {@link GameView.drawPlayersAndBall} are kept.
+ */
+export class GoalReplayBuffer {
+  /**
+   * Create a goal replay buffer
+   * @param {number} capacity maximum number of frames to keep
+   */
+  constructor(capacity) {
+    /** @type {number} maximum number of frames to keep */
+    this.capacity = capacity;
+    /** @type {Object[]} states of the last frames, from the oldest */
+    this.frames = [];
+  }
+
+  /**
+   * Keep the state of this frame, discarding the oldest one if the buffer is full
+   * @param {PikaPhysics} physics
+   */
+  record(physics) {
+    this.frames.push({
+      players: physics.players.map((player) =>
+        copyDrawableProps(player, PLAYER_DRAWABLE_PROPS)
+      ),
+      ball: copyDrawableProps(physics.ball, BALL_DRAWABLE_PROPS),
+    });
+    if (this.frames.length > this.capacity) {
+      this.frames.shift();
+    }
+  }
+
+  /**
+   * Discard all the frames kept
+   */
+  clear() {
+    this.frames = [];
+  }
+}
+
+/** @constant @type {string[]} player properties read by {@link GameView.drawPlayersAndBall} */
+const PLAYER_DRAWABLE_PROPS = [
+  'x',
+  'y',
+  'state',
+  'frameNumber',
+  'divingDirection',
+  'holding',
+  'powerHitCharge',
+];
+/** @constant @type {string[]} ball properties read by {@link GameView.drawPlayersAndBall} */
+const BALL_DRAWABLE_PROPS = [
+  'x',
+  'y',
+  'rotation',
+  'punchEffectRadius',
+  'punchEffectX',
+  'punchEffectY',
+  'previousX',
+  'previousY',
+  'previousPreviousX',
+  'previousPreviousY',
+];
+
+/**
+ * Copy the properties of the object
+ * @param {Object} object
+ * @param {string[]} props names of the properties to copy
+ * @return {Object}
+ */
+function copyDrawableProps(object, props) {
+  const copy = {};
+  for (const prop of props) {
+    copy[prop] = object[prop];
+  }
+  return copy;
+}
+
+/**
+ * Parse a replay file
+ * @param {string} text content of the replay file
+ * @return {Replay}
+ */
+export function parseReplay(text) {
+  const replay = JSON.parse(text);
+  if (replay === null || typeof replay !== 'object') {
+    throw new Error('not a replay');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`unsupported replay version: ${replay.version}`);
+  }
+  if (
+    !Number.isInteger(replay.seed) ||
+    !Array.isArray(replay.isComputer) ||
+    !Array.isArray(replay.computerWhereToStandBy) ||
+    !Array.isArray(replay.rounds) ||
+    (replay.playersPerSide !== undefined &&
+      replay.playersPerSide !== 1 &&
+      replay.playersPerSide !== MAX_PLAYERS_PER_SIDE) ||
+    (replay.goalkeeperArea !== undefined &&
+      replay.goalkeeperArea !== null &&
+      (typeof replay.goalkeeperArea.width !== 'number' ||
+        typeof replay.goalkeeperArea.height !== 'number')) ||
+    (replay.field !== undefined &&
+      (replay.field === null ||
+        typeof replay.field.width !== 'number' ||
+        typeof replay.field.goalHeight !== 'number' ||
+        typeof replay.field.goalDepth !== 'number' ||
+        typeof replay.field.crossbarThickness !== 'number')) ||
+    replay.rounds.some(
+      (round) =>
+        !Array.isArray(round.inputs) ||
+        round.inputs.length % getNumOfPlayers(replay) !== 0
+    )
+  ) {
+    throw new Error('broken replay');
+  }
+  return replay;
+}
+
+/**
+ * Number of the players on the field in the replayed match, whose inputs are recorded on every frame
+ * @param {Replay} replay
+ * @return {number}
+ */
+function getNumOfPlayers(replay) {
+  return 2 * (replay.playersPerSide === undefined ? 1 : replay.playersPerSide);
+}
+
+/**
+ * Encode a user input into an integer in [0, 35]
+ * @param {PikaUserInput} userInput
+ * @return {number}
+ */
+export function encodeUserInput(userInput) {
+  return (
+    userInput.xDirection +
+    1 +
+    3 * (userInput.yDirection + 1) +
+    9 * userInput.powerHit +
+    18 * (userInput.powerKeyDown ? 1 : 0)
+  );
+}
+
+/**
+ * Decode an integer encoded by {@link encodeUserInput} into the user input
+ * @param {number} code
+ * @param {PikaUserInput} userInput the user input to be set
+ */
+export function decodeUserInput(code, userInput) {
+  userInput.xDirection = (code % 3) - 1;
+  userInput.yDirection = (Math.floor(code / 3) % 3) - 1;
+  userInput.powerHit = Math.floor(code / 9) % 2;
+  userInput.powerKeyDown = Math.floor(code / 18) === 1;
+}
@@ -0,0 +1,225 @@
+/**
+ * Headless simulation of the game
+ *
+ * It steps the physics (the Model part in MVC pattern) frame by frame without the view, audio and keyboard,
+ * so it can be run in Node as well as in the browser. It is useful for batch-testing the computer AI
+ * and physics tweaks.
+ */
+'use strict';
+import { PikaPhysics, PikaUserInput } from './physics.js';
+import { setCustomRng, createSeededRng } from './rand.js';
+import { Referee } from './referee.js';
+
+/**
+ * @typedef {Object} SimulationEvent
+ * @property {number} frame the frame number on which the event happened
+ * @property {string} type "goal", "foul", the name of the sound of the player ("pipikachu", "pika", "chu")
+ *                         or the name of the sound of the ball ("powerHit", "ballTouchesGround")
+ * @property {number} player 1: player 1, 2: player 2 (3: player 3, 4: player 4 in a team match), 0: not related to a player (ball sounds).
+ *                           For "goal" event, the side which scored (1: left, 2: right). For "foul" event, the player who fouled.
+ */
+
+/**
+ * @typedef {Object} ScriptedInput
+ * @property {number} [xDirection] 0: no horizontal-direction input, -1: left-direction input, 1: right-direction input
+ * @property {number} [yDirection] 0: no vertical-direction input, -1: up-direction input, 1: down-direction input
+ * @property {number} [powerHit] 0: no power hit input, 1: power hit input
+ * @property {boolean} [powerKeyDown] is the power hit key held down? The power hit fires when the key is released,
+ *                                    so the power hit input without it is a tap. Holding it charges the power hit.
+ */
+
+/**
+ * Function which returns the scripted inputs for a frame
+ * ([0] for player 1, [1] for player 2, and [2], [3] for player 3, player 4 in a team match). The input for a computer player is ignored.
+ * @typedef {function(number, Simulation):ScriptedInput[]} InputScript
+ */
+
+/**
+ * Class representing a headless simulation of a match
+ */
+export class Simulation {
+  /**
+   * Create a simulation of a match
+   * @param {boolean} isPlayer1Computer Is player on the left (player 1) controlled by computer?
+   * @param {boolean} isPlayer2Computer Is player on the right (player 2) controlled by computer?
+   * @param {number} [winningScore] if either one of the players reaches this score, the match ends. 0: never ends
+   */
+  constructor(isPlayer1Computer, isPlayer2Computer, winningScore = 0) {
+    this.physics = new PikaPhysics(isPlayer1Computer, isPlayer2Computer);
+    /** @type {PikaUserInput[]} [0] for player 1, [1] for player 2 */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+
+    /** @type {number} winning score: if either one of the players reaches this score, the match ends */
+    this.winningScore = winningScore;
+    /** @type {number[]} [0] for player 1 score, [1] for player 2 score */
+    this.scores = [0, 0];
+    /** @type {boolean} Is the match ended? */
+    this.gameEnded = false;
+    /** @type {boolean} Will player 2 serve? */
+    this.isPlayer2Serve = false;
+    /** @type {number} number of frames simulated */
+    this.frameCounter = 0;
+    /** @type {SimulationEvent[]} events happened so far */
+    this.events = [];
+    /** @type {Referee} judges the fouls and keeps the cards of the players */
+    this.referee = new Referee();
+
+    this.startNewRound();
+  }
+
+  /**
+   * Set the difficulty level of the computer players
+   * @param {string} difficulty1 difficulty for player 1: "easy", "normal", "hard" or "expert"
+   * @param {string} [difficulty2] difficulty for player 2. If omitted, same as player 1
+   */
+  setComputerDifficulty(difficulty1, difficulty2 = difficulty1) {
+    // the teammates of a team match play at the difficulty of their sides
+    for (const player of this.physics.players) {
+      player.computerDifficulty = player.isPlayer2 ? difficulty2 : difficulty1;
+    }
+    // the difficulty is applied on the initialization for a new round
+    this.startNewRound();
+  }
+
+  /**
+   * Set the number of players on each side, 2 for a team match (see {@link PikaPhysics.setPlayersPerSide}).
+   * The teammates are controlled by computer as player 1 and player 2 are.
+   * It should be called before {@link setSeed}, since creating the teammates consumes random numbers.
+   * @param {number} playersPerSide 1 or 2
+   */
+  setPlayersPerSide(playersPerSide) {
+    this.physics.setPlayersPerSide(playersPerSide);
+    while (this.userInputArray.length < this.physics.players.length) {
+      this.userInputArray.push(new PikaUserInput());
+    }
+    this.userInputArray.length = this.physics.players.length;
+    this.startNewRound();
+  }
+
+  /**
+   * Make the simulation reproducible by seeding the RNG used by the physics.
+   * The RNG is shared in the module scope, so it affects the other simulations running together.
+   * @param {number} seed integer in [0, 4294967295]
+   */
+  setSeed(seed) {
+    setCustomRng(createSeededRng(seed));
+    // the RNG is used on the initialization for a new round
+    this.startNewRound();
+  }
+
+  /**
+   * Initialize players and ball for a new round
+   */
+  startNewRound() {
+    this.physics.initializeForNewRound(this.isPlayer2Serve);
+  }
+
+  /**
+   * Simulate one frame.
+   * If a goal is scored, the score is updated and a new round starts right away.
+   * If the referee calls a foul, a free kick is taken right away.
+   * @param {ScriptedInput[]} [inputs] [0] for player 1, [1] for player 2 (see {@link InputScript}). no input if omitted
+   * @return {SimulationEvent[]} events happened on this frame
+   */
+  step(inputs = []) {
+    for (let i = 0; i < this.userInputArray.length; i++) {
+      const userInput = this.userInputArray[i];
+      const input = inputs[i] || {};
+      userInput.xDirection = input.xDirection || 0;
+      userInput.yDirection = input.yDirection || 0;
+      userInput.powerHit = input.powerHit || 0;
+      userInput.powerKeyDown = input.powerKeyDown === true;
+    }
+
+    const isBallInGoal = this.physics.runEngineForNextFrame(
+      this.userInputArray
+    );
+    const frameEvents = this.collectSoundEvents();
+
+    if (isBallInGoal > 0 && this.gameEnded === false) {
+      // isBallInGoal === 1: ball is in the goal of player 1, so player 2 scored
+      const scorer = isBallInGoal === 1 ? 2 : 1;
+      this.scores[scorer - 1] += 1;
+      this.isPlayer2Serve = scorer === 2;
+      frameEvents.push({
+        frame: this.frameCounter,
+        type: 'goal',
+        player: scorer,
+      });
+      if (
+        this.winningScore > 0 &&
+        this.scores[scorer - 1] >= this.winningScore
+      ) {
+        this.gameEnded = true;
+      }
+      this.startNewRound();
+    } else {
+      const foul = this.referee.judge(this.physics);
+      if (foul !== null && this.gameEnded === false) {
+        // the other player takes a free kick right away
+        this.referee.book(foul, this.physics);
+        frameEvents.push({
+          frame: this.frameCounter,
+          type: 'foul',
+          player: foul.offender,
+        });
+        const offender = this.physics.players[foul.offender - 1];
+        this.physics.initializeForFreeKick(!offender.isPlayer2, foul.spotX);
+      }
+    }
+
+    this.frameCounter++;
+    this.events.push(...frameEvents);
+    return frameEvents;
+  }
+
+  /**
+   * Simulate frames until the match ends or the number of frames is reached
+   * @param {number} numOfFrames maximum number of frames to simulate
+   * @param {InputScript|ScriptedInput[][]} [script] inputs for each frame, as a function or an array indexed by frame number
+   * @return {SimulationEvent[]} events happened on these frames
+   */
+  run(numOfFrames, script) {
+    const runEvents = [];
+    for (let i = 0; i < numOfFrames && this.gameEnded === false; i++) {
+      let inputs;
+      if (typeof script === 'function') {
+        inputs = script(this.frameCounter, this);
+      } else if (Array.isArray(script)) {
+        inputs = script[this.frameCounter];
+      }
+      runEvents.push(...this.step(inputs));
+    }
+    return runEvents;
+  }
+
+  /**
+   * Collect the sound flags set by the physics engine as events and clear them,
+   * as {@link PikachuVolleyball.playSoundEffect} does.
+   * @return {SimulationEvent[]}
+   */
+  collectSoundEvents() {
+    const soundEvents = [];
+    for (let i = 0; i < this.physics.players.length; i++) {
+      const sound = this.physics.players[i].sound;
+      for (const prop in sound) {
+        if (sound[prop] === true) {
+          soundEvents.push({
+            frame: this.frameCounter,
+            type: prop,
+            player: i + 1,
+          });
+          sound[prop] = false;
+        }
+      }
+    }
+    const sound = this.physics.ball.sound;
+    for (const prop in sound) {
+      if (sound[prop] === true) {
+        soundEvents.push({ frame: this.frameCounter, type: prop, player: 0 });
+        sound[prop] = false;
+      }
+    }
+    return soundEvents;
+  }
+}
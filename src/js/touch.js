@@ -0,0 +1,189 @@
+/**
+ * This module takes charge of the user input via the on-screen touch controls,
+ * for the phones and the tablets which have no keyboard
+ * Refer {@link https://developer.mozilla.org/en-US/docs/Web/API/Touch_events}
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+
+/**
+ * @constant @type {number} the touch closer to the center of the d-pad than this
+ * (in ratio of the half size of the d-pad) is regarded as centered on that axis
+ */
+const DPAD_DEADZONE = 0.3;
+
+/**
+ * Class representing an on-screen touch pad used to control a player.
+ * It is composed of a d-pad, which moves the player by the position of the touch on it,
+ * and a shoot button, which is the power hit key.
+ */
+export class PikaTouchPad extends PikaUserInput {
+  /**
+   * Create a touch pad used for game controller
+   * @param {HTMLElement} dpadElement element of the d-pad
+   * @param {HTMLElement} shootElement element of the shoot button
+   */
+  constructor(dpadElement, shootElement) {
+    super();
+    /** @type {HTMLElement} */
+    this.dpadElement = dpadElement;
+    /** @type {HTMLElement} */
+    this.shootElement = shootElement;
+
+    /** @type {number} identifier of the touch on the d-pad, null if the d-pad is not touched */
+    this.dpadTouchId = null;
+    /** @type {number} x direction of the touch on the d-pad: -1, 0 or 1 */
+    this.dpadXDirection = 0;
+    /** @type {number} y direction of the touch on the d-pad: -1, 0 or 1 */
+    this.dpadYDirection = 0;
+    /** @type {number} number of touches on the shoot button */
+    this.shootTouchCount = 0;
+    /** @type {boolean} */
+    this.powerHitButtonIsDownPrevious = false;
+
+    this.dpadTouchListener = this.dpadTouchHandler.bind(this);
+    this.dpadTouchEndListener = this.dpadTouchEndHandler.bind(this);
+    this.shootTouchStartListener = this.shootTouchStartHandler.bind(this);
+    this.shootTouchEndListener = this.shootTouchEndHandler.bind(this);
+    this.subscribe();
+  }
+
+  /**
+   * Get xDirection, yDirection, powerHit input from the touch pad.
+   * This method is for freezing the touch input during the process of one game frame.
+   */
+  getInput() {
+    this.xDirection = this.dpadXDirection;
+    this.yDirection = this.dpadYDirection;
+
+    const isDown = this.shootTouchCount > 0;
+    if (!this.powerHitButtonIsDownPrevious && isDown) {
+      this.powerHit = 1;
+    } else {
+      this.powerHit = 0;
+    }
+    this.powerHitButtonIsDownPrevious = isDown;
+    this.powerKeyDown = isDown;
+  }
+
+  /**
+   * When the d-pad is touched or the touch on it moves
+   * @param {TouchEvent} event
+   */
+  dpadTouchHandler(event) {
+    event.preventDefault();
+    let touch = null;
+    for (const changedTouch of event.changedTouches) {
+      if (
+        this.dpadTouchId === null ||
+        changedTouch.identifier === this.dpadTouchId
+      ) {
+        touch = changedTouch;
+        break;
+      }
+    }
+    if (touch === null) {
+      return;
+    }
+    this.dpadTouchId = touch.identifier;
+
+    const rect = this.dpadElement.getBoundingClientRect();
+    const x = (touch.clientX - (rect.left + rect.width / 2)) / (rect.width / 2);
+    const y =
+      (touch.clientY - (rect.top + rect.height / 2)) / (rect.height / 2);
+    this.dpadXDirection = getDirection(x);
+    this.dpadYDirection = getDirection(y);
+  }
+
+  /**
+   * When the touch on the d-pad ends
+   * @param {TouchEvent} event
+   */
+  dpadTouchEndHandler(event) {
+    event.preventDefault();
+    for (const changedTouch of event.changedTouches) {
+      if (changedTouch.identifier === this.dpadTouchId) {
+        this.dpadTouchId = null;
+        this.dpadXDirection = 0;
+        this.dpadYDirection = 0;
+      }
+    }
+  }
+
+  /**
+   * When the shoot button is touched
+   * @param {TouchEvent} event
+   */
+  shootTouchStartHandler(event) {
+    event.preventDefault();
+    this.shootTouchCount = event.targetTouches.length;
+  }
+
+  /**
+   * When the touch on the shoot button ends
+   * @param {TouchEvent} event
+   */
+  shootTouchEndHandler(event) {
+    event.preventDefault();
+    this.shootTouchCount = event.targetTouches.length;
+  }
+
+  /**
+   * Subscribe touch event listeners for the d-pad and the shoot button
+   */
+  subscribe() {
+    const dpad = this.dpadElement;
+    dpad.addEventListener('touchstart', this.dpadTouchListener);
+    dpad.addEventListener('touchmove', this.dpadTouchListener);
+    dpad.addEventListener('touchend', this.dpadTouchEndListener);
+    dpad.addEventListener('touchcancel', this.dpadTouchEndListener);
+    const shoot = this.shootElement;
+    shoot.addEventListener('touchstart', this.shootTouchStartListener);
+    shoot.addEventListener('touchend', this.shootTouchEndListener);
+    shoot.addEventListener('touchcancel', this.shootTouchEndListener);
+  }
+
+  /**
+   * Unsubscribe touch event listeners for the d-pad and the shoot button
+   */
+  unsubscribe() {
+    const dpad = this.dpadElement;
+    dpad.removeEventListener('touchstart', this.dpadTouchListener);
+    dpad.removeEventListener('touchmove', this.dpadTouchListener);
+    dpad.removeEventListener('touchend', this.dpadTouchEndListener);
+    dpad.removeEventListener('touchcancel', this.dpadTouchEndListener);
+    const shoot = this.shootElement;
+    shoot.removeEventListener('touchstart', this.shootTouchStartListener);
+    shoot.removeEventListener('touchend', this.shootTouchEndListener);
+    shoot.removeEventListener('touchcancel', this.shootTouchEndListener);
+    this.dpadTouchId = null;
+    this.dpadXDirection = 0;
+    this.dpadYDirection = 0;
+    this.shootTouchCount = 0;
+  }
+}
+
+/**
+ * Is the browser running on a device with a touch screen?
+ * @return {boolean}
+ */
+export function isTouchDevice() {
+  return (
+    typeof window !== 'undefined' &&
+    ('ontouchstart' in window || navigator.maxTouchPoints > 0)
+  );
+}
+
+/**
+ * Direction of the touch on an axis of the d-pad
+ * @param {number} position position of the touch from the center, in ratio of the half size of the d-pad
+ * @return {number} -1, 0 or 1
+ */
+function getDirection(position) {
+  if (position < -DPAD_DEADZONE) {
+    return -1;
+  } else if (position > DPAD_DEADZONE) {
+    return 1;
+  }
+  return 0;
+}
@@ -2,6 +2,19 @@
  * Manages event listeners relevant to the UI (menu bar, buttons, etc.) of the web page
  */
 'use strict';
+import {
+  DEFAULT_GOALKEEPER_AREA,
+  DEFAULT_FIELD,
+  SMALL_FIELD,
+} from './physics.js';
+import {
+  DEFAULT_KEY_BINDINGS,
+  KEY_ACTIONS,
+  findKeyBindingConflict,
+} from './keyboard.js';
+import { parseReplay } from './replay.js';
+import { WebSocketTransport, connectPeer } from './netplay.js';
+import { PikaTouchPad, isTouchDevice } from './touch.js';
 /** @typedef {import('./pikavolley.js').PikachuVolleyball} PikachuVolleyball */
 /** @typedef {import('pixi.js-legacy').Ticker} Ticker */
 
@@ -50,6 +63,38 @@ const pauseResumeManager = {
   },
 };
 
+/**
+ * Prefix of the keys for the options stored in the local storage of the browser
+ * @constant @type {string}
+ */
+const LOCAL_STORAGE_KEY_PREFIX = 'pikachu-soccer-';
+
+/**
+ * Load an option stored in the local storage
+ * @param {string} key
+ * @return {string} stored value, or null if there is no stored value or the local storage is not available
+ */
+function loadOption(key) {
+  try {
+    return window.localStorage.getItem(LOCAL_STORAGE_KEY_PREFIX + key);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Store an option in the local storage
+ * @param {string} key
+ * @param {string} value
+ */
+function saveOption(key, value) {
+  try {
+    window.localStorage.setItem(LOCAL_STORAGE_KEY_PREFIX + key, value);
+  } catch (err) {
+    // The option is just not remembered if the local storage is not available.
+  }
+}
+
 /**
  * Set up the user interface: menu bar, buttons, dropdowns, submenus, etc.
  * @param {PikachuVolleyball} pikaVolley
@@ -57,6 +102,10 @@ const pauseResumeManager = {
  */
 export function setUpUI(pikaVolley, ticker) {
   setUpBtns(pikaVolley, ticker);
+  setUpReplayControls(pikaVolley, ticker);
+  setUpNetplay(pikaVolley);
+  setUpKeySettings(pikaVolley);
+  setUpTouchControls(pikaVolley);
   setUpToShowDropdownsAndSubmenus(pikaVolley);
 
   // hide or show menubar if the user presses the "esc" key
@@ -342,6 +391,252 @@ function setUpBtns(pikaVolley, ticker) {
     pikaVolley.isDeuce = false;
   });
 
+  // In the penalties mode, the game is a penalty shootout from the start.
+  const gameModeNormalBtn = document.getElementById('game-mode-normal-btn');
+  const gameModePenaltiesBtn = document.getElementById(
+    'game-mode-penalties-btn'
+  );
+  gameModeNormalBtn.addEventListener('click', () => {
+    gameModePenaltiesBtn.classList.remove('selected');
+    gameModeNormalBtn.classList.add('selected');
+    pikaVolley.isPenaltiesMode = false;
+  });
+  gameModePenaltiesBtn.addEventListener('click', () => {
+    gameModeNormalBtn.classList.remove('selected');
+    gameModePenaltiesBtn.classList.add('selected');
+    pikaVolley.isPenaltiesMode = true;
+  });
+
+  // In a team match, each side has two players, and the teammates are controlled by computer or by 3P and 4P keys.
+  const teamPlayBtns = {
+    off: document.getElementById('team-play-off-btn'),
+    computer: document.getElementById('team-play-computer-btn'),
+    keyboard: document.getElementById('team-play-keyboard-btn'),
+  };
+  const teamPlaySettings = {
+    off: [1, true],
+    computer: [2, true],
+    keyboard: [2, false],
+  };
+  for (const key in teamPlayBtns) {
+    teamPlayBtns[key].addEventListener('click', () => {
+      for (const otherKey in teamPlayBtns) {
+        teamPlayBtns[otherKey].classList.remove('selected');
+      }
+      teamPlayBtns[key].classList.add('selected');
+      pikaVolley.setTeamPlay(...teamPlaySettings[key]);
+    });
+  }
+
+  // The goalkeepers may catch the ball in the box in front of their goals, from the next game.
+  const goalkeeperOffBtn = document.getElementById('goalkeeper-off-btn');
+  const goalkeeperOnBtn = document.getElementById('goalkeeper-on-btn');
+  goalkeeperOffBtn.addEventListener('click', () => {
+    goalkeeperOnBtn.classList.remove('selected');
+    goalkeeperOffBtn.classList.add('selected');
+    pikaVolley.goalkeeperArea = null;
+  });
+  goalkeeperOnBtn.addEventListener('click', () => {
+    goalkeeperOffBtn.classList.remove('selected');
+    goalkeeperOnBtn.classList.add('selected');
+    pikaVolley.goalkeeperArea = DEFAULT_GOALKEEPER_AREA;
+  });
+
+  // The pitch and the goals of the next game
+  const fieldDefaultBtn = document.getElementById('field-default-btn');
+  const fieldSmallBtn = document.getElementById('field-small-btn');
+  fieldDefaultBtn.addEventListener('click', () => {
+    fieldSmallBtn.classList.remove('selected');
+    fieldDefaultBtn.classList.add('selected');
+    pikaVolley.field = DEFAULT_FIELD;
+  });
+  fieldSmallBtn.addEventListener('click', () => {
+    fieldDefaultBtn.classList.remove('selected');
+    fieldSmallBtn.classList.add('selected');
+    pikaVolley.field = SMALL_FIELD;
+  });
+
+  // In a timed match, the match ends when the time of the second half is up, not by the winning score.
+  // The selected match length is remembered in the local storage.
+  const matchLengthBtns = {
+    0: document.getElementById('match-length-off-btn'),
+    60: document.getElementById('match-length-60-btn'),
+    90: document.getElementById('match-length-90-btn'),
+    180: document.getElementById('match-length-180-btn'),
+  };
+  function selectMatchLength(halfLengthSeconds) {
+    for (const prop in matchLengthBtns) {
+      matchLengthBtns[prop].classList.remove('selected');
+    }
+    matchLengthBtns[halfLengthSeconds].classList.add('selected');
+    pikaVolley.halfLengthFrames =
+      Number(halfLengthSeconds) * pikaVolley.MATCH_CLOCK_FPS;
+  }
+  for (const prop in matchLengthBtns) {
+    matchLengthBtns[prop].addEventListener('click', () => {
+      selectMatchLength(prop);
+      saveOption('match-length', prop);
+    });
+  }
+  const savedMatchLength = loadOption('match-length');
+  if (savedMatchLength !== null && matchLengthBtns[savedMatchLength]) {
+    selectMatchLength(savedMatchLength);
+  }
+
+  // It decides a timed match which is level at the end of the second half.
+  const tieBreakerBtns = {
+    draw: document.getElementById('tie-breaker-draw-btn'),
+    goldenGoal: document.getElementById('tie-breaker-golden-goal-btn'),
+    penalties: document.getElementById('tie-breaker-penalties-btn'),
+    goldenGoalThenPenalties: document.getElementById(
+      'tie-breaker-golden-goal-then-penalties-btn'
+    ),
+  };
+  for (const prop in tieBreakerBtns) {
+    tieBreakerBtns[prop].addEventListener('click', () => {
+      for (const otherProp in tieBreakerBtns) {
+        tieBreakerBtns[otherProp].classList.remove('selected');
+      }
+      tieBreakerBtns[prop].classList.add('selected');
+      pikaVolley.tieBreaker = prop;
+    });
+  }
+
+  // The selected computer difficulty is remembered in the local storage
+  // so that the player can practice against the same opponent next time.
+  const difficultyBtns = {
+    easy: document.getElementById('difficulty-easy-btn'),
+    normal: document.getElementById('difficulty-normal-btn'),
+    hard: document.getElementById('difficulty-hard-btn'),
+    expert: document.getElementById('difficulty-expert-btn'),
+  };
+  function selectComputerDifficulty(difficulty) {
+    for (const prop in difficultyBtns) {
+      difficultyBtns[prop].classList.remove('selected');
+    }
+    difficultyBtns[difficulty].classList.add('selected');
+    pikaVolley.physics.setComputerDifficulty(difficulty);
+  }
+  for (const prop in difficultyBtns) {
+    difficultyBtns[prop].addEventListener('click', () => {
+      selectComputerDifficulty(prop);
+      saveOption('computer-difficulty', prop);
+    });
+  }
+  const savedDifficulty = loadOption('computer-difficulty');
+  if (savedDifficulty !== null && difficultyBtns[savedDifficulty]) {
+    selectComputerDifficulty(savedDifficulty);
+  }
+
+  // A match can be reproduced exactly by playing it with the same seed.
+  // The fixed seed is applied from the next match and remembered in the local storage.
+  const seedRandomBtn = document.getElementById('seed-random-btn');
+  const seedFixedBtn = document.getElementById('seed-fixed-btn');
+  const seedCurrentMatchBtn = document.getElementById(
+    'seed-current-match-btn'
+  );
+  const fixedSeedSpan = document.getElementById('fixed-seed');
+  const currentMatchSeedSpan = document.getElementById('current-match-seed');
+  function parseSeed(str) {
+    const seed = Number(str);
+    if (
+      str.trim() === '' ||
+      !Number.isInteger(seed) ||
+      seed < 0 ||
+      seed > 4294967295
+    ) {
+      return null;
+    }
+    return seed;
+  }
+  function selectFixedSeed(seed) {
+    pikaVolley.fixedSeed = seed;
+    if (seed === null) {
+      seedRandomBtn.classList.add('selected');
+      seedFixedBtn.classList.remove('selected');
+      fixedSeedSpan.textContent = '';
+      saveOption('fixed-seed', '');
+    } else {
+      seedRandomBtn.classList.remove('selected');
+      seedFixedBtn.classList.add('selected');
+      fixedSeedSpan.textContent = `: ${seed}`;
+      saveOption('fixed-seed', String(seed));
+    }
+  }
+  seedRandomBtn.addEventListener('click', () => {
+    selectFixedSeed(null);
+  });
+  seedFixedBtn.addEventListener('click', () => {
+    const defaultSeed =
+      pikaVolley.fixedSeed === null
+        ? pikaVolley.matchSeed
+        : pikaVolley.fixedSeed;
+    const input = window.prompt(
+      '시드를 입력하세요. (0 ~ 4294967295 사이의 정수)',
+      defaultSeed === null ? '' : String(defaultSeed)
+    );
+    if (input === null) {
+      return;
+    }
+    const seed = parseSeed(input);
+    if (seed === null) {
+      window.alert('시드는 0 ~ 4294967295 사이의 정수여야 합니다.');
+      return;
+    }
+    selectFixedSeed(seed);
+  });
+  seedCurrentMatchBtn.addEventListener('click', () => {
+    if (pikaVolley.matchSeed !== null) {
+      selectFixedSeed(pikaVolley.matchSeed);
+    }
+  });
+  optionsDropdownBtn.addEventListener('click', () => {
+    currentMatchSeedSpan.textContent =
+      pikaVolley.matchSeed === null ? '-' : String(pikaVolley.matchSeed);
+  });
+  const savedSeed = loadOption('fixed-seed');
+  if (savedSeed !== null && parseSeed(savedSeed) !== null) {
+    selectFixedSeed(parseSeed(savedSeed));
+  }
+
+  // Each gamepad controls the player assigned to it, together with the keyboard of the player.
+  // Clicking the button of a gamepad assigns it to the next player: 1P, 2P, 3P, 4P, no one, and 1P again.
+  const numOfGamepads = pikaVolley.gamepadArray.length;
+  function drawGamepad(gamepadIndex) {
+    const playerIndex = pikaVolley.gamepadPlayerIndices[gamepadIndex];
+    document.getElementById(
+      `gamepad-${gamepadIndex + 1}-player`
+    ).textContent = playerIndex === -1 ? '사용 안 함' : `${playerIndex + 1}P`;
+    document.getElementById(`gamepad-${gamepadIndex + 1}-status`).textContent =
+      pikaVolley.gamepadArray[gamepadIndex].isConnected ? ' (연결됨)' : '';
+  }
+  function selectGamepadPlayer(gamepadIndex, playerIndex) {
+    pikaVolley.setGamepadPlayer(gamepadIndex, playerIndex);
+    drawGamepad(gamepadIndex);
+    saveOption(`gamepad-${gamepadIndex + 1}-player`, String(playerIndex));
+  }
+  for (let i = 0; i < numOfGamepads; i++) {
+    document
+      .getElementById(`gamepad-${i + 1}-btn`)
+      .addEventListener('click', () => {
+        const playerIndex = pikaVolley.gamepadPlayerIndices[i];
+        selectGamepadPlayer(i, playerIndex === 3 ? -1 : playerIndex + 1);
+      });
+    const savedPlayer = loadOption(`gamepad-${i + 1}-player`);
+    if (['-1', '0', '1', '2', '3'].includes(savedPlayer)) {
+      selectGamepadPlayer(i, Number(savedPlayer));
+    }
+    drawGamepad(i);
+  }
+  // the gamepads can be plugged in and out at any time
+  for (const eventType of ['gamepadconnected', 'gamepaddisconnected']) {
+    window.addEventListener(eventType, (event) => {
+      if (event.gamepad.index < numOfGamepads) {
+        drawGamepad(event.gamepad.index);
+      }
+    });
+  }
+
   /*const aboutBox = document.getElementById('about-box');
   const closeAboutBtn = document.getElementById('close-about-btn');
   aboutBtn.addEventListener('click', () => {
@@ -373,6 +668,386 @@ function setUpBtns(pikaVolley, ticker) {
   });*/
 }
 
+/**
+ * Attach event listeners to the buttons for saving, loading and playing back replays
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {Ticker} ticker
+ */
+function setUpReplayControls(pikaVolley, ticker) {
+  const saveReplayBtn = document.getElementById('save-replay-btn');
+  saveReplayBtn.addEventListener('click', () => {
+    const replay = pikaVolley.replayRecorder.replay;
+    if (replay === null) {
+      window.alert('저장할 경기가 없습니다. 경기를 시작한 뒤에 저장해주세요.');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(replay)], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pikachu-soccer-replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const replayFileInput = document.getElementById('replay-file-input');
+  const loadReplayBtn = document.getElementById('load-replay-btn');
+  loadReplayBtn.addEventListener('click', () => {
+    replayFileInput.click();
+  });
+  replayFileInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = replayFileInput.files[0];
+    if (!file) {
+      return;
+    }
+    file.text().then((text) => {
+      // @ts-ignore
+      replayFileInput.value = '';
+      let replay;
+      try {
+        replay = parseReplay(text);
+      } catch (err) {
+        window.alert(`리플레이 파일을 읽을 수 없습니다. (${err.message})`);
+        return;
+      }
+      pikaVolley.startReplay(replay);
+    });
+  });
+
+  const replayControls = document.getElementById('replay-controls');
+  const playPauseBtn = document.getElementById('replay-play-pause-btn');
+  const seekRange = document.getElementById('replay-seek-range');
+  const replayTime = document.getElementById('replay-time');
+  const speedBtn = document.getElementById('replay-speed-btn');
+  const exitBtn = document.getElementById('replay-exit-btn');
+  const speeds = [0.5, 1, 2, 4];
+  playPauseBtn.addEventListener('click', () => {
+    pikaVolley.isReplayPaused = !pikaVolley.isReplayPaused;
+  });
+  seekRange.addEventListener('input', () => {
+    if (pikaVolley.replayPlayer !== null) {
+      // @ts-ignore
+      pikaVolley.replayPlayer.seek(Number(seekRange.value));
+    }
+  });
+  speedBtn.addEventListener('click', () => {
+    const i = speeds.indexOf(pikaVolley.replaySpeed);
+    pikaVolley.replaySpeed = speeds[(i + 1) % speeds.length];
+  });
+  exitBtn.addEventListener('click', () => {
+    pikaVolley.restart();
+  });
+
+  function formatTime(frame) {
+    const seconds = Math.floor(frame / pikaVolley.normalFPS);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+  // The controls are shown only while a replay is being played back.
+  ticker.add(() => {
+    const replayPlayer = pikaVolley.replayPlayer;
+    if (pikaVolley.state !== pikaVolley.replay || replayPlayer === null) {
+      replayControls.classList.add('hidden');
+      return;
+    }
+    replayControls.classList.remove('hidden');
+    playPauseBtn.textContent = pikaVolley.isReplayPaused ? '재생' : '일시정지';
+    speedBtn.textContent = `${pikaVolley.replaySpeed}x`;
+    // @ts-ignore
+    seekRange.max = String(replayPlayer.totalFrames);
+    // @ts-ignore
+    seekRange.value = String(replayPlayer.frameCounter);
+    replayTime.textContent = `${formatTime(
+      replayPlayer.frameCounter
+    )} / ${formatTime(replayPlayer.totalFrames)}`;
+  });
+}
+
+/**
+ * Attach event listeners to the button for the online match
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpNetplay(pikaVolley) {
+  const netplayBtn = document.getElementById('netplay-btn');
+  const noticeBox = document.getElementById('netplay-notice-box');
+  const noticeMessage = document.getElementById('netplay-notice-message');
+  const cancelBtn = document.getElementById('netplay-cancel-btn');
+  /** @type {WebSocketTransport} signaling connection being made, null if not connecting */
+  let signalingTransport = null;
+
+  function hideNoticeBox() {
+    noticeBox.classList.add('hidden');
+    pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+  }
+
+  netplayBtn.addEventListener('click', () => {
+    const url = window.prompt(
+      '시그널링 서버 주소를 입력해주세요.',
+      loadOption('signaling-url') || 'ws://localhost:8080'
+    );
+    if (url === null || url.trim() === '') {
+      return;
+    }
+    const room = window.prompt(
+      '방 이름을 입력해주세요. 같은 방에 들어온 두 사람이 대전합니다.'
+    );
+    if (room === null || room.trim() === '') {
+      return;
+    }
+    saveOption('signaling-url', url.trim());
+
+    let transport;
+    try {
+      transport = new WebSocketTransport(url.trim(), room.trim());
+    } catch (err) {
+      window.alert(`시그널링 서버에 연결할 수 없습니다. (${err.message})`);
+      return;
+    }
+    signalingTransport = transport;
+    noticeMessage.textContent = `"${room.trim()}" 방에서 상대를 기다리는 중...`;
+    noticeBox.classList.remove('hidden');
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    connectPeer(transport)
+      .then(({ transport: peerTransport, isHost }) => {
+        if (signalingTransport !== transport) {
+          // cancelled
+          peerTransport.close();
+          return;
+        }
+        signalingTransport = null;
+        hideNoticeBox();
+        pikaVolley.startNetplay(peerTransport, isHost);
+      })
+      .catch((err) => {
+        if (signalingTransport !== transport) {
+          return;
+        }
+        signalingTransport = null;
+        hideNoticeBox();
+        window.alert(`온라인 대전에 연결하지 못했습니다. (${err.message})`);
+      });
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    const transport = signalingTransport;
+    signalingTransport = null;
+    hideNoticeBox();
+    if (transport !== null) {
+      transport.close();
+    }
+  });
+}
+
+/**
+ * Set up the key settings box, where each player rebinds the keys by pressing them.
+ * The keys are remembered in the local storage.
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpKeySettings(pikaVolley) {
+  const gameDropdownBtn = document.getElementById('game-dropdown-btn');
+  const optionsDropdownBtn = document.getElementById('options-dropdown-btn');
+  const keySettingsBtn = document.getElementById('key-settings-btn');
+  const keySettingsBox = document.getElementById('key-settings-box');
+  const message = document.getElementById('key-settings-message');
+  const resetBtn = document.getElementById('key-settings-reset-btn');
+  const closeBtn = document.getElementById('key-settings-close-btn');
+  const keyBtns = Array.from(document.querySelectorAll('button.key-btn'));
+  const actionNames = {
+    left: '왼쪽',
+    right: '오른쪽',
+    up: '점프',
+    down: '하강',
+    powerHit: '슛/슬라이딩',
+  };
+  const defaultMessage = '바꿀 키를 누른 뒤 새 키를 누르세요.';
+  /** @type {HTMLElement} the key button waiting for a new key, null if not waiting */
+  let waitingKeyBtn = null;
+
+  function drawKeyBtns() {
+    for (const keyBtn of keyBtns) {
+      const playerIndex = Number(keyBtn.dataset.player);
+      keyBtn.textContent = getKeyLabel(
+        pikaVolley.keyBindings[playerIndex][keyBtn.dataset.action]
+      );
+    }
+  }
+  function stopWaiting() {
+    if (waitingKeyBtn !== null) {
+      waitingKeyBtn.classList.remove('waiting');
+      // so that the keys for the game (e.g. Enter) do not click it again
+      waitingKeyBtn.blur();
+      waitingKeyBtn = null;
+    }
+  }
+  function applyKeyBindings(keyBindings) {
+    pikaVolley.setKeyBindings(keyBindings);
+    saveOption('key-bindings', JSON.stringify(keyBindings));
+    drawKeyBtns();
+  }
+
+  keySettingsBtn.addEventListener('click', () => {
+    message.textContent = defaultMessage;
+    drawKeyBtns();
+    keySettingsBox.classList.remove('hidden');
+    // @ts-ignore
+    gameDropdownBtn.disabled = true;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = true;
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+  });
+  closeBtn.addEventListener('click', () => {
+    stopWaiting();
+    keySettingsBox.classList.add('hidden');
+    // @ts-ignore
+    gameDropdownBtn.disabled = false;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = false;
+    pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+  });
+  resetBtn.addEventListener('click', () => {
+    stopWaiting();
+    message.textContent = defaultMessage;
+    applyKeyBindings(DEFAULT_KEY_BINDINGS);
+  });
+  for (const keyBtn of keyBtns) {
+    keyBtn.addEventListener('click', () => {
+      stopWaiting();
+      waitingKeyBtn = keyBtn;
+      keyBtn.classList.add('waiting');
+      message.textContent = `${Number(keyBtn.dataset.player) + 1}P의 ${
+        actionNames[keyBtn.dataset.action]
+      } 키를 누르세요. (Esc: 취소)`;
+    });
+  }
+  // The new key is caught before the keyboards of the game and the other listeners get it.
+  window.addEventListener(
+    'keydown',
+    (event) => {
+      if (waitingKeyBtn === null) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      const playerIndex = Number(waitingKeyBtn.dataset.player);
+      const action = waitingKeyBtn.dataset.action;
+      stopWaiting();
+      if (event.code === 'Escape') {
+        message.textContent = defaultMessage;
+        return;
+      }
+      const conflict = findKeyBindingConflict(
+        pikaVolley.keyBindings,
+        event.code,
+        playerIndex,
+        action
+      );
+      if (conflict !== null) {
+        message.textContent = `${getKeyLabel(event.code)} 키는 이미 ${
+          conflict.playerIndex + 1
+        }P의 ${actionNames[conflict.action]} 키입니다.`;
+        return;
+      }
+      const keyBindings = pikaVolley.keyBindings.map((keyBinding) => ({
+        ...keyBinding,
+      }));
+      keyBindings[playerIndex][action] = event.code;
+      applyKeyBindings(keyBindings);
+      message.textContent = defaultMessage;
+    },
+    true
+  );
+
+  const savedKeyBindings = parseKeyBindings(loadOption('key-bindings'));
+  if (savedKeyBindings !== null) {
+    pikaVolley.setKeyBindings(savedKeyBindings);
+  }
+}
+
+/**
+ * Show the on-screen touch controls on a touch device, which has no keyboard to play with
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpTouchControls(pikaVolley) {
+  if (!isTouchDevice()) {
+    return;
+  }
+  const touchPadArray = [];
+  for (let i = 1; i <= 2; i++) {
+    touchPadArray.push(
+      new PikaTouchPad(
+        document.getElementById(`touch-dpad-${i}`),
+        document.getElementById(`touch-shoot-${i}`)
+      )
+    );
+  }
+  pikaVolley.setTouchPads(touchPadArray);
+  document.getElementById('touch-controls').classList.remove('hidden');
+}
+
+/**
+ * Parse the key bindings remembered in the local storage
+ * @param {string} str
+ * @return {import('./keyboard.js').KeyBinding[]} null if it is not valid key bindings (e.g. a key bound to two actions)
+ */
+function parseKeyBindings(str) {
+  if (str === null) {
+    return null;
+  }
+  let keyBindings;
+  try {
+    keyBindings = JSON.parse(str);
+  } catch (err) {
+    return null;
+  }
+  if (
+    !Array.isArray(keyBindings) ||
+    keyBindings.length !== DEFAULT_KEY_BINDINGS.length ||
+    keyBindings.some(
+      (keyBinding) =>
+        keyBinding === null ||
+        typeof keyBinding !== 'object' ||
+        KEY_ACTIONS.some((action) => typeof keyBinding[action] !== 'string')
+    )
+  ) {
+    return null;
+  }
+  for (let i = 0; i < keyBindings.length; i++) {
+    for (const action of KEY_ACTIONS) {
+      if (
+        findKeyBindingConflict(keyBindings, keyBindings[i][action], i, action) !==
+        null
+      ) {
+        return null;
+      }
+    }
+  }
+  return keyBindings;
+}
+
+/**
+ * Short label of the key to show on the key settings box
+ * @param {string} code KeyboardEvent.code value of the key
+ * @return {string}
+ */
+function getKeyLabel(code) {
+  const arrows = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+  };
+  if (code in arrows) {
+    return arrows[code];
+  }
+  return code
+    .replace(/^Key/, '')
+    .replace(/^Digit/, '')
+    .replace(/^Numpad/, 'Num ');
+}
+
 /**
  * Attach event listeners to show dropdowns and submenus properly
  * @param {PikachuVolleyball} pikaVolley
@@ -429,6 +1104,51 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
     .addEventListener('mouseover', () => {
       showSubmenu('deuce-submenu-btn', 'deuce-submenu');
     });
+  document
+    .getElementById('game-mode-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('game-mode-submenu-btn', 'game-mode-submenu');
+    });
+  document
+    .getElementById('team-play-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('team-play-submenu-btn', 'team-play-submenu');
+    });
+  document
+    .getElementById('goalkeeper-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('goalkeeper-submenu-btn', 'goalkeeper-submenu');
+    });
+  document
+    .getElementById('field-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('field-submenu-btn', 'field-submenu');
+    });
+  document
+    .getElementById('match-length-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('match-length-submenu-btn', 'match-length-submenu');
+    });
+  document
+    .getElementById('tie-breaker-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('tie-breaker-submenu-btn', 'tie-breaker-submenu');
+    });
+  document
+    .getElementById('difficulty-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('difficulty-submenu-btn', 'difficulty-submenu');
+    });
+  document
+    .getElementById('seed-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('seed-submenu-btn', 'seed-submenu');
+    });
+  document
+    .getElementById('gamepad-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('gamepad-submenu-btn', 'gamepad-submenu');
+    });
 
   // set up to show submenus on click event
   // (it is for touch device equipped with physical keyboard)
@@ -456,6 +1176,49 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
     .addEventListener('click', () => {
       showSubmenu('deuce-submenu-btn', 'deuce-submenu');
     });
+  document
+    .getElementById('game-mode-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('game-mode-submenu-btn', 'game-mode-submenu');
+    });
+  document
+    .getElementById('team-play-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('team-play-submenu-btn', 'team-play-submenu');
+    });
+  document
+    .getElementById('goalkeeper-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('goalkeeper-submenu-btn', 'goalkeeper-submenu');
+    });
+  document
+    .getElementById('field-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('field-submenu-btn', 'field-submenu');
+    });
+  document
+    .getElementById('match-length-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('match-length-submenu-btn', 'match-length-submenu');
+    });
+  document
+    .getElementById('tie-breaker-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('tie-breaker-submenu-btn', 'tie-breaker-submenu');
+    });
+  document
+    .getElementById('difficulty-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('difficulty-submenu-btn', 'difficulty-submenu');
+    });
+  document.getElementById('seed-submenu-btn').addEventListener('click', () => {
+    showSubmenu('seed-submenu-btn', 'seed-submenu');
+  });
+  document
+    .getElementById('gamepad-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('gamepad-submenu-btn', 'gamepad-submenu');
+    });
 }
 
 /**
@@ -464,6 +1227,10 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
  * @param {PikachuVolleyball} pikaVolley
  */
 function toggleDropdown(dropdownID, pikaVolley) {
+  // clicking the menu bar is also an input which ends the demo match of the attract mode
+  if (pikaVolley.isDemo === true) {
+    pikaVolley.restart();
+  }
   hideSubmenus();
   hideDropdownsExcept(dropdownID);
   const willShow = document.getElementById(dropdownID).classList.toggle('show');
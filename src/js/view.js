@@ -8,9 +8,21 @@
 'use strict';
 //import pkg from '../../../node_modules/pixi.js-legacy/lib/pixi-legacy.js';
 //const { Container, Sprite, AnimatedSprite, Graphics } = pkg;
-import { Container, Sprite, AnimatedSprite, Graphics } from 'pixi.js-legacy';
+import {
+  Container,
+  Sprite,
+  AnimatedSprite,
+  Graphics,
+  Text,
+} from 'pixi.js-legacy';
 import { Cloud, Wave, cloudAndWaveEngine } from './cloud_and_wave.js';
 import { ASSETS_PATH } from './assets_path.js';
+import {
+  POWER_HIT_CHARGE_MAX_FRAMES,
+  DEFAULT_FIELD,
+  getCrossbarYCoord,
+} from './physics.js';
+/** @typedef {import('./physics.js').FieldConfig} FieldConfig */
 
 const TEXURES = ASSETS_PATH.TEXTURES;
 const TEXTURES_2P = ASSETS_PATH.TEXTURES_2P;
@@ -21,6 +33,12 @@ const NUM_OF_CLOUDS = 16;
  *  Important : also check index.js and physics.js and change values in them together */
 const VIEWPORT_WIDTH = 768;
 const VIEWPORT_HEIGHT = 432;
+/** @constant @type {number} width & height of the power hit charge meter drawn above a player */
+const CHARGE_METER_WIDTH = 40;
+const CHARGE_METER_HEIGHT = 6;
+/** @constant @type {number} width & height of a card of the referee drawn below a score board */
+const CARD_WIDTH = 12;
+const CARD_HEIGHT = 16;
 
 /**
  * Class representing intro view where the man with a briefcase mark appers
@@ -88,7 +106,13 @@ export class MenuView {
         0,
         0
       ),
-      withWho: makeSpriteWithAnchorXY(textures, TEXURES.GAME_START, 0, 0),
+      withComputer: makeSpriteWithAnchorXY(
+        textures,
+        TEXURES.WITH_COMPUTER,
+        0,
+        0
+      ),
+      withFriend: makeSpriteWithAnchorXY(textures, TEXURES.WITH_FRIEND, 0, 0),
       sachisoft: makeSpriteWithAnchorXY(textures, TEXURES.SACHISOFT, 0, 0),
       fight: makeSpriteWithAnchorXY(textures, TEXURES.FIGHT, 0, 0),
       gameStart: makeSpriteWithAnchorXY(textures, TEXURES.GAME_START, 0, 0),
@@ -111,7 +135,8 @@ export class MenuView {
     this.container.addChild(this.sittingPikachuTilesContainer);
     this.container.addChild(this.messages.pokemon);
     this.container.addChild(this.messages.pikachuVolleyball);
-    this.container.addChild(this.messages.withWho);
+    this.container.addChild(this.messages.withComputer);
+    this.container.addChild(this.messages.withFriend);
     this.container.addChild(this.messages.sachisoft);
     this.container.addChild(this.messages.fight);
     this.container.addChild(this.messages.gameStart);
@@ -282,12 +307,14 @@ export class MenuView {
    * @param {number} frameCounter
    */
   drawWithWhoMessages(frameCounter) {
-    const withWho = this.messages.withWho;
-    const w = withWho.texture.width;
-    const h = withWho.texture.height;
+    const withWho = [this.messages.withComputer, this.messages.withFriend];
+    const w = withWho[0].texture.width;
+    const h = withWho[0].texture.height;
 
     if (frameCounter === 0) {
-      withWho.visible = false;
+      for (let i = 0; i < 2; i++) {
+        withWho[i].visible = false;
+      }
       return;
     }
 
@@ -295,18 +322,18 @@ export class MenuView {
       if (this.selectedWithWhoMessageSizeIncrement < 10) {
         this.selectedWithWhoMessageSizeIncrement += 1;
       }
-      for (let i = 0; i < 1; i++) {
+      for (let i = 0; i < 2; i++) {
           const selected = Number(this.selectedWithWho === i); // 1 if selected, 0 otherwise
           const halfWidthIncrement =
               selected * (this.selectedWithWhoMessageSizeIncrement + 2);
           const halfHeightIncrement =
               selected * this.selectedWithWhoMessageSizeIncrement;
 
-          withWho.visible = true;
-          withWho.x = VIEWPORT_WIDTH / 2 - w / 2 - halfWidthIncrement;
-          withWho.y = 184 - halfHeightIncrement;
-          withWho.width = w + 2 * halfWidthIncrement;
-          withWho.height = h + 2 * halfHeightIncrement;
+          withWho[i].visible = true;
+          withWho[i].x = VIEWPORT_WIDTH / 2 - w / 2 - halfWidthIncrement;
+          withWho[i].y = 184 + 30 * i - halfHeightIncrement;
+          withWho[i].width = w + 2 * halfWidthIncrement;
+          withWho[i].height = h + 2 * halfHeightIncrement;
       }
     }
   }
@@ -328,16 +355,24 @@ export class GameView {
   /**
    * Create a GameView object
    * @param {Object.<string,PIXI.LoaderResource>} resources
+   * @param {FieldConfig} [field] geometry of the pitch, see "field" of PikaPhysics in physics.js
    */
-  constructor(resources) {
+  constructor(resources, field = DEFAULT_FIELD) {
     const textures = resources[ASSETS_PATH.SPRITE_SHEET].textures;
     const textures_2P = resources[ASSETS_PATH.SPRITE_SHEET_2P].textures;
+    /** @type {Object.<string,PIXI.Texture>} textures kept for drawing the background again (see {@link setField}) */
+    this.textures = textures;
+    /** @type {FieldConfig} geometry of the pitch drawn on the background */
+    this.field = field;
     // Display objects below
-    this.bgContainer = makeBGContainer(textures);
+    this.bgContainer = makeBGContainer(textures, field);
     const playerSprites = makePlayerAnimatedSprites(textures);
     const playerSprites_2P = makePlayerAnimatedSprites_2P(textures_2P);
     this.player1 = playerSprites[0];
     this.player2 = playerSprites_2P[0];
+    // the teammates of a team match, who look like the players on their sides
+    this.player3 = playerSprites[1];
+    this.player4 = playerSprites_2P[1];
     this.ball = makeBallAnimatedSprites(textures);
     this.ballHyper = makeSpriteWithAnchorXY(
       textures,
@@ -352,6 +387,20 @@ export class GameView {
       0.5
     );
     this.punch = makeSpriteWithAnchorXY(textures, TEXURES.BALL_PUNCH, 0.5, 0.5);
+    // cards of the referee shown to each player, see "referee.js"
+    this.cards = {
+      forPlayer1: new Graphics(),
+      forPlayer2: new Graphics(),
+    };
+    /** @type {string[]} cards drawn for each player, to skip drawing the same cards again */
+    this.drawnCards = ['', ''];
+    // meters of the power hit charge, see "powerHitCharge" in physics.js
+    this.chargeMeters = {
+      forPlayer1: new Graphics(),
+      forPlayer2: new Graphics(),
+      forPlayer3: new Graphics(),
+      forPlayer4: new Graphics(),
+    };
 
     // this.scoreBoards[0] for player1, this.scoreBoards[1] for player2
     this.scoreBoards = [
@@ -362,6 +411,8 @@ export class GameView {
     this.shadows = {
       forPlayer1: makeSpriteWithAnchorXY(textures, TEXURES.SHADOW, 0.5, 0.5),
       forPlayer2: makeSpriteWithAnchorXY(textures, TEXURES.SHADOW, 0.5, 0.5),
+      forPlayer3: makeSpriteWithAnchorXY(textures, TEXURES.SHADOW, 0.5, 0.5),
+      forPlayer4: makeSpriteWithAnchorXY(textures, TEXURES.SHADOW, 0.5, 0.5),
       forBall: makeSpriteWithAnchorXY(textures, TEXURES.SHADOW, 0.5, 0.5),
     };
 
@@ -370,6 +421,19 @@ export class GameView {
       ready: makeSpriteWithAnchorXY(textures, TEXURES.READY, 0, 0),
       deuce: makeSpriteWithAnchorXY(textures, TEXURES.DEUCE, 0, 0),
       gameEnd: makeSpriteWithAnchorXY(textures, TEXURES.GAME_END, 0, 0),
+      // there is no sprite for this message in the sprite sheet
+      pressKey: makeMessageText('PRESS KEY', 0.5, 0.5),
+      replay: makeMessageText('REPLAY', 0.5, 0.5),
+      halfTime: makeMessageText('HALF TIME', 0.5, 0.5),
+      extraTime: makeMessageText('EXTRA TIME', 0.5, 0.5),
+      penaltyShootout: makeMessageText('PENALTY SHOOTOUT', 0.5, 0.5),
+      draw: makeMessageText('DRAW', 0.5, 0.5),
+      // "FOUL", "YELLOW CARD", "RED CARD" or "FREE KICK"
+      foul: makeMessageText('', 0.5, 0.5),
+      matchClock: makeMessageText('', 0.5, 0, 24),
+      // kicks taken in the penalty shootout by the player on each side
+      penaltyKicksForPlayer1: makeMessageText('', 0, 0, 20),
+      penaltyKicksForPlayer2: makeMessageText('', 1, 0, 20),
     };
    
     this.cloudContainer = makeCloudContainer(textures);
@@ -382,17 +446,31 @@ export class GameView {
     this.container.addChild(this.bgContainer);
     this.container.addChild(this.cloudContainer);
     this.container.addChild(this.waveContainer);
-    this.container.addChild(this.shadows.forPlayer1);
-    this.container.addChild(this.shadows.forPlayer2);
-    this.container.addChild(this.shadows.forBall);
-    this.container.addChild(this.player1);
-    this.container.addChild(this.player2);
-    this.container.addChild(this.ballTrail);
-    this.container.addChild(this.ballHyper);
-    this.container.addChild(this.ball);
-    this.container.addChild(this.punch);
+    // The display objects on the pitch, which are placed by the coordinates of the physics engine,
+    // are in this container, so that the pitch is drawn in the middle of the screen.
+    this.fieldContainer = new Container();
+    this.fieldContainer.addChild(this.shadows.forPlayer1);
+    this.fieldContainer.addChild(this.shadows.forPlayer2);
+    this.fieldContainer.addChild(this.shadows.forPlayer3);
+    this.fieldContainer.addChild(this.shadows.forPlayer4);
+    this.fieldContainer.addChild(this.shadows.forBall);
+    this.fieldContainer.addChild(this.player1);
+    this.fieldContainer.addChild(this.player2);
+    this.fieldContainer.addChild(this.player3);
+    this.fieldContainer.addChild(this.player4);
+    this.fieldContainer.addChild(this.ballTrail);
+    this.fieldContainer.addChild(this.ballHyper);
+    this.fieldContainer.addChild(this.ball);
+    this.fieldContainer.addChild(this.punch);
+    this.fieldContainer.addChild(this.chargeMeters.forPlayer1);
+    this.fieldContainer.addChild(this.chargeMeters.forPlayer2);
+    this.fieldContainer.addChild(this.chargeMeters.forPlayer3);
+    this.fieldContainer.addChild(this.chargeMeters.forPlayer4);
+    this.container.addChild(this.fieldContainer);
     this.container.addChild(this.scoreBoards[0]);
     this.container.addChild(this.scoreBoards[1]);
+    this.container.addChild(this.cards.forPlayer1);
+    this.container.addChild(this.cards.forPlayer2);
 
  
 
@@ -400,6 +478,16 @@ export class GameView {
     this.container.addChild(this.messages.ready);
     this.container.addChild(this.messages.deuce);
     this.container.addChild(this.messages.gameEnd);
+    this.container.addChild(this.messages.pressKey);
+    this.container.addChild(this.messages.replay);
+    this.container.addChild(this.messages.halfTime);
+    this.container.addChild(this.messages.extraTime);
+    this.container.addChild(this.messages.penaltyShootout);
+    this.container.addChild(this.messages.draw);
+    this.container.addChild(this.messages.foul);
+    this.container.addChild(this.messages.matchClock);
+    this.container.addChild(this.messages.penaltyKicksForPlayer1);
+    this.container.addChild(this.messages.penaltyKicksForPlayer2);
 
 
       // location and visibility setting
@@ -409,6 +497,8 @@ export class GameView {
       this.cloudContainer.y = 0;
       this.waveContainer.x = 0;
       this.waveContainer.y = 0;
+      this.fieldContainer.x = getLeftWallXCoord(field);
+      this.fieldContainer.y = 0;
     
       this.messages.ready.x = VIEWPORT_WIDTH / 2 - 40;
       this.messages.ready.y = 38;
@@ -416,6 +506,33 @@ export class GameView {
       this.messages.deuce.y = 38;
       this.messages.deuce.scale.x = 1.5;
       this.messages.deuce.scale.y = 1.5;
+      this.messages.pressKey.x = VIEWPORT_WIDTH / 2;
+      this.messages.pressKey.y = 140;
+      this.messages.replay.x = VIEWPORT_WIDTH / 2;
+      this.messages.replay.y = 90;
+      this.messages.halfTime.x = VIEWPORT_WIDTH / 2;
+      this.messages.halfTime.y = 140;
+      this.messages.extraTime.x = VIEWPORT_WIDTH / 2;
+      this.messages.extraTime.y = 140;
+      this.messages.penaltyShootout.x = VIEWPORT_WIDTH / 2;
+      this.messages.penaltyShootout.y = 140;
+      this.messages.draw.x = VIEWPORT_WIDTH / 2;
+      this.messages.draw.y = 140;
+      this.messages.foul.x = VIEWPORT_WIDTH / 2;
+      this.messages.foul.y = 140;
+      // between the score boards, above "READY" and "DEUCE" messages
+      this.messages.matchClock.x = VIEWPORT_WIDTH / 2;
+      this.messages.matchClock.y = 8;
+      // below the score boards
+      this.messages.penaltyKicksForPlayer1.x = 14;
+      this.messages.penaltyKicksForPlayer1.y = 48;
+      this.messages.penaltyKicksForPlayer2.x = VIEWPORT_WIDTH - 14;
+      this.messages.penaltyKicksForPlayer2.y = 48;
+      // below the penalty kicks
+      this.cards.forPlayer1.x = 14;
+      this.cards.forPlayer1.y = 76;
+      this.cards.forPlayer2.x = VIEWPORT_WIDTH - 14 - CARD_WIDTH;
+      this.cards.forPlayer2.y = 76;
       this.scoreBoards[0].x = 14; // score board is 14 pixel distant from boundary
       this.scoreBoards[0].y = 10;
       this.scoreBoards[1].x = VIEWPORT_WIDTH - 32 - 32 - 14; // 32 pixel is for number (32x32px) width; one score board has tow numbers
@@ -423,6 +540,8 @@ export class GameView {
 
       this.shadows.forPlayer1.y = VIEWPORT_HEIGHT - 39;
       this.shadows.forPlayer2.y = VIEWPORT_HEIGHT - 39;
+      this.shadows.forPlayer3.y = VIEWPORT_HEIGHT - 39;
+      this.shadows.forPlayer4.y = VIEWPORT_HEIGHT - 39;
       this.shadows.forBall.y = VIEWPORT_HEIGHT - 39;
 
       this.ball.alpha = 1.0;
@@ -460,44 +579,77 @@ export class GameView {
     }
   }
 
+  /**
+   * Draw the pitch of another geometry, e.g. for a mode played on another pitch.
+   * The background is made again, and the display objects on the pitch are moved with it.
+   * @param {FieldConfig} field
+   */
+  setField(field) {
+    if (field === this.field) {
+      return;
+    }
+    this.field = field;
+    const index = this.container.getChildIndex(this.bgContainer);
+    this.container.removeChild(this.bgContainer);
+    this.bgContainer.destroy({ children: true });
+    this.bgContainer = makeBGContainer(this.textures, field);
+    this.container.addChildAt(this.bgContainer, index);
+    this.fieldContainer.x = getLeftWallXCoord(field);
+  }
+
   /** @typedef {import("./physics").PikaPhysics} PikaPhysics */
   /**
-   * Draw players and ball in the given physics object
+   * Draw players and ball in the given physics object.
+   * The sprites of player 3 and player 4 are hidden unless the physics object has them (a team match).
    * @param {PikaPhysics} physics PikaPhysics object to draw
    */
   drawPlayersAndBall(physics) {
-    const player1 = physics.player1;
-    const player2 = physics.player2;
+    const players = physics.players;
     const ball = physics.ball;
 
-    this.player1.x = player1.x;
-    this.player1.y = player1.y;
-    if (player1.state === 3 || player1.state === 4) {
-      this.player1.scale.x = player1.divingDirection === -1 ? -1 : 1;
-    } else {
-      this.player1.scale.x = 1;
-    }
-    this.shadows.forPlayer1.x = player1.x;
+    const playerSprites = [this.player1, this.player2, this.player3, this.player4];
+    const shadows = [
+      this.shadows.forPlayer1,
+      this.shadows.forPlayer2,
+      this.shadows.forPlayer3,
+      this.shadows.forPlayer4,
+    ];
+    const chargeMeters = [
+      this.chargeMeters.forPlayer1,
+      this.chargeMeters.forPlayer2,
+      this.chargeMeters.forPlayer3,
+      this.chargeMeters.forPlayer4,
+    ];
+    for (let i = 0; i < playerSprites.length; i++) {
+      const playerSprite = playerSprites[i];
+      const player = players[i];
+      if (player === undefined) {
+        playerSprite.visible = false;
+        shadows[i].visible = false;
+        chargeMeters[i].visible = false;
+        continue;
+      }
+      playerSprite.visible = true;
+      shadows[i].visible = true;
+
+      // the players on the left side (even indices) face right, and the others face left
+      const facingDirection = i % 2 === 0 ? 1 : -1;
+      playerSprite.x = player.x;
+      playerSprite.y = player.y;
+      if ((player.state === 3 || player.state === 4) && player.divingDirection !== 0) {
+        playerSprite.scale.x = player.divingDirection;
+      } else {
+        playerSprite.scale.x = facingDirection;
+      }
+      shadows[i].x = player.x;
 
-    this.player2.x = player2.x;
-    this.player2.y = player2.y;
-    if (player2.state === 3 || player2.state === 4) {
-      this.player2.scale.x = player2.divingDirection === 1 ? 1 : -1;
-    } else {
-      this.player2.scale.x = -1;
+      const frameNumber = getFrameNumberForPlayerAnimatedSprite(
+        player.state,
+        player.frameNumber
+      );
+      playerSprite.gotoAndStop(frameNumber);
+      drawChargeMeter(chargeMeters[i], player);
     }
-    this.shadows.forPlayer2.x = player2.x;
-
-    const frameNumber1 = getFrameNumberForPlayerAnimatedSprite(
-      player1.state,
-      player1.frameNumber
-    );
-    const frameNumber2 = getFrameNumberForPlayerAnimatedSprite(
-      player2.state,
-      player2.frameNumber
-    );
-    this.player1.gotoAndStop(frameNumber1);
-    this.player2.gotoAndStop(frameNumber2);
 
     this.ball.x = ball.x;
     this.ball.y = ball.y;
@@ -528,7 +680,7 @@ export class GameView {
           this.ballTrail.y = ball.previousPreviousY;
       }
 
-      if (player1.holding || player2.holding) {
+      if (players.some((player) => player.holding)) {
           this.ball.alpha = 0.5;
       } else {
           this.ball.alpha = 1.0;
@@ -640,6 +792,155 @@ export class GameView {
     this.messages.deuce.visible = !this.messages.deuce.visible;
   }
 
+  /**
+   * Draw "PRESS KEY" message shown on the demo match of the attract mode
+   * @param {boolean} bool turn on?
+   */
+  drawPressKeyMessage(bool) {
+    this.messages.pressKey.visible = bool;
+  }
+
+  /**
+   * Togle "PRESS KEY" message.
+   * Turn off if it's on, turn on if it's off.
+   */
+  togglePressKeyMessage() {
+    this.messages.pressKey.visible = !this.messages.pressKey.visible;
+  }
+
+  /**
+   * Draw "REPLAY" message shown on the instant replay of a goal
+   * @param {boolean} bool turn on?
+   */
+  drawReplayMessage(bool) {
+    this.messages.replay.visible = bool;
+  }
+
+  /**
+   * Togle "REPLAY" message.
+   * Turn off if it's on, turn on if it's off.
+   */
+  toggleReplayMessage() {
+    this.messages.replay.visible = !this.messages.replay.visible;
+  }
+
+  /**
+   * Draw "HALF TIME" message shown on the half-time break of a timed match
+   * @param {boolean} bool turn on?
+   */
+  drawHalfTimeMessage(bool) {
+    this.messages.halfTime.visible = bool;
+  }
+
+  /**
+   * Draw "EXTRA TIME" message shown on the break before the extra time of a timed match
+   * @param {boolean} bool turn on?
+   */
+  drawExtraTimeMessage(bool) {
+    this.messages.extraTime.visible = bool;
+  }
+
+  /**
+   * Draw "PENALTY SHOOTOUT" message shown on the break before the penalty shootout
+   * @param {boolean} bool turn on?
+   */
+  drawPenaltyShootoutMessage(bool) {
+    this.messages.penaltyShootout.visible = bool;
+  }
+
+  /**
+   * Draw "DRAW" message shown when a timed match ends with the scores level
+   * @param {boolean} bool turn on?
+   */
+  drawDrawMessage(bool) {
+    this.messages.draw.visible = bool;
+  }
+
+  /**
+   * Draw the match clock of a timed match
+   * @param {string} text e.g. "1H 0:45", or null to hide the clock
+   */
+  drawMatchClock(text) {
+    const matchClock = this.messages.matchClock;
+    if (text === null) {
+      matchClock.visible = false;
+      return;
+    }
+    matchClock.visible = true;
+    if (matchClock.text !== text) {
+      matchClock.text = text;
+    }
+  }
+
+  /**
+   * Draw the message of the referee
+   * @param {string} text "FOUL", "YELLOW CARD", "RED CARD" or "FREE KICK", or null to hide the message
+   */
+  drawFoulMessage(text) {
+    const foulMessage = this.messages.foul;
+    if (text === null) {
+      foulMessage.visible = false;
+      return;
+    }
+    foulMessage.visible = true;
+    foulMessage.text = text;
+  }
+
+  /**
+   * Draw the cards of the players below the score boards: a yellow card for each yellow card,
+   * and a red card while the player is sent off. The cards of player 2 are lined up from the right.
+   * @param {number[]} yellowCards [0] for player 1, [1] for player 2
+   * @param {boolean[]} isSentOff [0] for player 1, [1] for player 2
+   */
+  drawCards(yellowCards, isSentOff) {
+    const graphicsArray = [this.cards.forPlayer1, this.cards.forPlayer2];
+    for (let i = 0; i < 2; i++) {
+      const colors = new Array(yellowCards[i]).fill(0xffe040);
+      if (isSentOff[i]) {
+        colors.push(0xff4040);
+      }
+      const drawnCards = colors.join(',');
+      if (this.drawnCards[i] === drawnCards) {
+        continue;
+      }
+      this.drawnCards[i] = drawnCards;
+      const graphics = graphicsArray[i];
+      graphics.clear();
+      for (let j = 0; j < colors.length; j++) {
+        const x = (i === 0 ? 1 : -1) * j * (CARD_WIDTH + 4);
+        graphics.lineStyle(2, 0x000000);
+        graphics.beginFill(colors[j]);
+        graphics.drawRect(x, 0, CARD_WIDTH, CARD_HEIGHT);
+        graphics.endFill();
+      }
+    }
+  }
+
+  /**
+   * Draw the kicks taken in the penalty shootout below the score boards:
+   * "O" for a goal, "X" for a miss and "-" for a kick left of the first five.
+   * @param {boolean[][]} penaltyKicks penaltyKicks[0] for player 1, penaltyKicks[1] for player 2,
+   *                                   true for a goal, or null to hide them
+   */
+  drawPenaltyKicks(penaltyKicks) {
+    const texts = [
+      this.messages.penaltyKicksForPlayer1,
+      this.messages.penaltyKicksForPlayer2,
+    ];
+    for (let i = 0; i < 2; i++) {
+      if (penaltyKicks === null) {
+        texts[i].visible = false;
+        continue;
+      }
+      const marks = penaltyKicks[i].map((isGoal) => (isGoal ? 'O' : 'X'));
+      while (marks.length < 5) {
+        marks.push('-');
+      }
+      texts[i].visible = true;
+      texts[i].text = marks.join(' ');
+    }
+  }
+
   /**
    * refered FUN_00404070
    * Draw game end message as frame goes
@@ -749,11 +1050,12 @@ function makeSittingPikachuTilesContainer(textures) {
 }
 
 /**
- * Make background
+ * Make background, with the goals at both ends of the pitch
  * @param {Object.<string,PIXI.Texture>} textures
+ * @param {FieldConfig} field geometry of the pitch
  * @return {PIXI.Container}
  */
-function makeBGContainer(textures) {
+function makeBGContainer(textures, field) {
     const bgContainer = new Container();
 
     // sky
@@ -805,39 +1107,57 @@ function makeBGContainer(textures) {
     }
 
     // net pillar - used as goal posts in this case
+    // The posts stand on the walls of the pitch, and the crossbars (8x8 tiles, scaled to the thickness) extrude from them.
+    // The crossbar is drawn 4 pixels lower than its y coordinate in the physics engine.
+    const leftWallX = getLeftWallXCoord(field);
+    const rightWallX = leftWallX + field.width;
+    const crossbarTopY = getCrossbarYCoord(field) - field.crossbarThickness / 2 + 4;
+    const numOfPostTiles = Math.ceil((VIEWPORT_HEIGHT - 32 - (crossbarTopY + 8)) / 8);
+    const numOfCrossbarTiles = Math.ceil((field.goalDepth - 8) / 8);
     texture = textures[TEXURES.NET_PILLAR_TOP];
     tile = new Sprite(texture);
-    addChildToParentAndSetLocalPosition(bgContainer, tile, 0, VIEWPORT_HEIGHT - 168);
+    addChildToParentAndSetLocalPosition(bgContainer, tile, leftWallX, crossbarTopY);
     texture = textures[TEXURES.NET_PILLAR];
-    for (let j = 0; j < 16; j++) {
+    for (let j = 0; j < numOfPostTiles; j++) {
         tile = new Sprite(texture);
-        addChildToParentAndSetLocalPosition(bgContainer, tile, 0, VIEWPORT_HEIGHT - 160 + 8 * j);
+        addChildToParentAndSetLocalPosition(bgContainer, tile, leftWallX, crossbarTopY + 8 + 8 * j);
     }
     texture = textures[TEXURES.NET_PILLAR_TOP];
     tile = new Sprite(texture);
-    addChildToParentAndSetLocalPosition(bgContainer, tile, VIEWPORT_WIDTH - 8, VIEWPORT_HEIGHT - 168);
+    addChildToParentAndSetLocalPosition(bgContainer, tile, rightWallX - 8, crossbarTopY);
     texture = textures[TEXURES.NET_PILLAR];
-    for (let j = 0; j < 16; j++) {
+    for (let j = 0; j < numOfPostTiles; j++) {
         tile = new Sprite(texture);
-        addChildToParentAndSetLocalPosition(bgContainer, tile, VIEWPORT_WIDTH - 8, VIEWPORT_HEIGHT - 160 + 8 * j);
+        addChildToParentAndSetLocalPosition(bgContainer, tile, rightWallX - 8, crossbarTopY + 8 + 8 * j);
     }
 
     texture = textures[TEXURES.NET_PILLAR_ROTATE];
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < numOfCrossbarTiles; i++) {
         tile = new Sprite(texture);
-        addChildToParentAndSetLocalPosition(bgContainer, tile, VIEWPORT_WIDTH - 64 + 8 * i, VIEWPORT_HEIGHT - 168);
+        tile.height = field.crossbarThickness;
+        addChildToParentAndSetLocalPosition(bgContainer, tile, rightWallX - field.goalDepth + 8 * i, crossbarTopY);
     }
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < numOfCrossbarTiles; i++) {
         tile = new Sprite(texture);
-        addChildToParentAndSetLocalPosition(bgContainer, tile, 8 + 8 * i, VIEWPORT_HEIGHT - 168);
+        tile.height = field.crossbarThickness;
+        addChildToParentAndSetLocalPosition(bgContainer, tile, leftWallX + 8 + 8 * i, crossbarTopY);
     }
     return bgContainer;
 }
 
 /**
- * Make animated sprites for both players
+ * x coordinate on the screen of the left wall of the pitch, which is drawn in the middle of the screen
+ * @param {FieldConfig} field
+ * @return {number}
+ */
+function getLeftWallXCoord(field) {
+    return (VIEWPORT_WIDTH - field.width) / 2;
+}
+
+/**
+ * Make animated sprites for the players on the left side
  * @param {Object.<string,PIXI.Texture>} textures
- * @return {PIXI.AnimatedSprite[]} [0] for player 1, [1] for player2
+ * @return {PIXI.AnimatedSprite[]} [0] for player 1, [1] for player 3 (the teammate of player 1 in a team match)
  */
  function makePlayerAnimatedSprites(textures) {
   const getPlayerTexture = (i, j) => textures[TEXURES.PIKACHU(i, j)];
@@ -929,6 +1249,55 @@ function makeSpriteWithAnchorXY(textures, path, anchorX, anchorY) {
   return sprite;
 }
 
+/**
+ * Draw the power hit charge meter above the player, or hide it if the player is not charging
+ * @param {PIXI.Graphics} meter
+ * @param {Object} player player in the physics, or its properties kept for the instant replay of a goal
+ */
+function drawChargeMeter(meter, player) {
+  if (player.powerHitCharge === 0) {
+    meter.visible = false;
+    return;
+  }
+  const chargeWidth = Math.round(
+    (CHARGE_METER_WIDTH * player.powerHitCharge) / POWER_HIT_CHARGE_MAX_FRAMES
+  );
+  meter.clear();
+  meter.beginFill(0x000000);
+  meter.drawRect(-2, -2, CHARGE_METER_WIDTH + 4, CHARGE_METER_HEIGHT + 4);
+  meter.endFill();
+  meter.beginFill(
+    player.powerHitCharge === POWER_HIT_CHARGE_MAX_FRAMES ? 0xff4040 : 0xffe040
+  );
+  meter.drawRect(0, 0, chargeWidth, CHARGE_METER_HEIGHT);
+  meter.endFill();
+  meter.x = player.x - CHARGE_METER_WIDTH / 2;
+  meter.y = player.y - 48;
+  meter.visible = true;
+}
+
+/**
+ * Make text for a message which does not have a sprite in the sprite sheet
+ * @param {string} text
+ * @param {number} anchorX anchor.x, number in [0, 1]
+ * @param {number} anchorY anchor.y, number in [0, 1]
+ * @param {number} [fontSize]
+ * @return {PIXI.Text}
+ */
+function makeMessageText(text, anchorX, anchorY, fontSize = 32) {
+  const messageText = new Text(text, {
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    fontSize: fontSize,
+    fontWeight: 'bold',
+    fill: 0xffffff,
+    stroke: 0x000000,
+    strokeThickness: 5,
+  });
+  messageText.anchor.x = anchorX;
+  messageText.anchor.y = anchorY;
+  return messageText;
+}
+
 /**
  * Make score boards
  * @param {Object.<string,PIXI.Texture>} textures
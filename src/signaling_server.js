@@ -0,0 +1,214 @@
+/**
+ * WebSocket relay server for the signaling of the online netplay (see "js/netplay.js")
+ *
+ * It pairs two peers connected to the same path (room name), e.g. ws://localhost:8080/my-room,
+ * sends {type: "peer-joined", isHost} to both of them when the second one joins,
+ * and relays the messages between them. It implements only the part of the WebSocket protocol
+ * used by the browsers (text frames, ping and close) so that it runs in Node without any package.
+ *
+ * usage: npm run signaling -- [port]
+ */
+'use strict';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+
+/** @constant @type {string} GUID for computing Sec-WebSocket-Accept, defined in RFC 6455 */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+/** @constant @type {number} maximum size of a message, which is enough for the signaling messages */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const port = Number(process.argv[2]) || 8080;
+
+/** @type {Map<string, Connection[]>} connections in each room */
+const rooms = new Map();
+
+/**
+ * Class representing a WebSocket connection
+ */
+class Connection {
+  /**
+   * @param {import('net').Socket} socket
+   * @param {string} room
+   */
+  constructor(socket, room) {
+    this.socket = socket;
+    this.room = room;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    socket.on('data', (data) => this.receive(data));
+    socket.on('close', () => this.onClose());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Parse the frames in the received data
+   * @param {Buffer} data
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (this.buffer.length >= 2) {
+      const opcode = this.buffer[0] & 0x0f;
+      const isMasked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) {
+          return;
+        }
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) {
+          return;
+        }
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // The frames from a client must be masked (RFC 6455, section 5.1).
+      if (length > MAX_MESSAGE_SIZE || !isMasked) {
+        this.socket.destroy();
+        return;
+      }
+      const maskOffset = offset;
+      offset += 4;
+      if (this.buffer.length < offset + length) {
+        return;
+      }
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      if (opcode === 0x1) {
+        this.onMessage(payload.toString('utf8'));
+      } else if (opcode === 0x8) {
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+        return;
+      } else if (opcode === 0x9) {
+        this.sendFrame(0xa, payload);
+      }
+    }
+  }
+
+  /**
+   * Send a frame (not masked, since it is from the server)
+   * @param {number} opcode
+   * @param {Buffer} payload
+   */
+  sendFrame(opcode, payload) {
+    if (this.closed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text
+   */
+  send(text) {
+    this.sendFrame(0x1, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * Relay the message to the other peer in the room
+   * @param {string} text
+   */
+  onMessage(text) {
+    for (const connection of rooms.get(this.room) || []) {
+      if (connection !== this) {
+        connection.send(text);
+      }
+    }
+  }
+
+  onClose() {
+    this.closed = true;
+    const connections = rooms.get(this.room);
+    if (!connections) {
+      return;
+    }
+    const remaining = connections.filter((connection) => connection !== this);
+    if (remaining.length === 0) {
+      rooms.delete(this.room);
+    } else {
+      rooms.set(this.room, remaining);
+    }
+  }
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('This is a WebSocket server for the signaling.\n');
+});
+
+/**
+ * Get the room name from the path of the request
+ * @param {string} url url of the request, e.g. "/my-room"
+ * @return {string} null if the path is not a valid percent-encoded string
+ */
+function getRoom(url) {
+  try {
+    return decodeURIComponent(url.slice(1));
+  } catch (error) {
+    return null;
+  }
+}
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  // The room is checked before the handshake, so that a bad request is answered without upgrading.
+  const room = getRoom(request.url);
+  if (
+    request.headers.upgrade.toLowerCase() !== 'websocket' ||
+    !key ||
+    room === null
+  ) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+    return;
+  }
+  const accept = createHash('sha1')
+    .update(key + WEBSOCKET_GUID)
+    .digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const connection = new Connection(socket, room);
+  const connections = rooms.get(room) || [];
+  if (connections.length >= 2) {
+    connection.send(JSON.stringify({ type: 'room-full' }));
+    connection.sendFrame(0x8, Buffer.alloc(0));
+    socket.end();
+    return;
+  }
+  connections.push(connection);
+  rooms.set(room, connections);
+  if (connections.length === 2) {
+    connections[0].send(JSON.stringify({ type: 'peer-joined', isHost: true }));
+    connections[1].send(JSON.stringify({ type: 'peer-joined', isHost: false }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`signaling server is listening on ws://localhost:${port}`);
+});
@@ -0,0 +1,113 @@
+/**
+ * Command line tool which runs headless matches between computer players in Node
+ *
+ * usage: npm run simulate -- [--matches N] [--winning-score N] [--difficulty1 LEVEL] [--difficulty2 LEVEL] [--seed N]
+ *                            [--players-per-side N] [--goalkeeper on|off] [--field default|small]
+ * With --seed, the i-th match (from 0) is played with the seed N + i, so the results are reproducible.
+ * It exits with the status 1 if any match does not end within MAX_FRAMES_PER_MATCH.
+ * e.g. npm run simulate -- --matches 20 --difficulty1 hard --difficulty2 normal
+ */
+'use strict';
+import { Simulation } from './js/simulation.js';
+import {
+  COMPUTER_DIFFICULTY,
+  MAX_PLAYERS_PER_SIDE,
+  DEFAULT_GOALKEEPER_AREA,
+  DEFAULT_FIELD,
+  SMALL_FIELD,
+} from './js/physics.js';
+
+/** @constant @type {number} frames per second of the game */
+const FPS = 30;
+/** @constant @type {number} frame limit for a match, to stop a match which never ends (30 minutes) */
+const MAX_FRAMES_PER_MATCH = 30 * 60 * FPS;
+
+const options = {
+  matches: 10,
+  'winning-score': 15,
+  difficulty1: 'normal',
+  difficulty2: 'normal',
+  seed: null,
+  'players-per-side': 1,
+  goalkeeper: 'off',
+  field: 'default',
+};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  const name = args[i].replace(/^--/, '');
+  if (!(name in options) || args[i + 1] === undefined) {
+    console.error(`unknown or incomplete option: ${args[i]}`);
+    process.exit(1);
+  }
+  options[name] = args[i + 1];
+}
+for (const name of ['difficulty1', 'difficulty2']) {
+  if (!(options[name] in COMPUTER_DIFFICULTY)) {
+    console.error(
+      `${name} should be one of ${Object.keys(COMPUTER_DIFFICULTY).join(', ')}`
+    );
+    process.exit(1);
+  }
+}
+const numOfMatches = Number(options.matches);
+const winningScore = Number(options['winning-score']);
+const playersPerSide = Number(options['players-per-side']);
+if (playersPerSide !== 1 && playersPerSide !== MAX_PLAYERS_PER_SIDE) {
+  console.error(`players-per-side should be 1 or ${MAX_PLAYERS_PER_SIDE}`);
+  process.exit(1);
+}
+if (options.goalkeeper !== 'on' && options.goalkeeper !== 'off') {
+  console.error('goalkeeper should be on or off');
+  process.exit(1);
+}
+/** @type {Object.<string, import('./js/physics.js').FieldConfig>} */
+const FIELDS = { default: DEFAULT_FIELD, small: SMALL_FIELD };
+if (!(options.field in FIELDS)) {
+  console.error('field should be default or small');
+  process.exit(1);
+}
+
+const wins = [0, 0];
+const goals = [0, 0];
+let unfinishedMatches = 0;
+let totalFrames = 0;
+const startTime = Date.now();
+for (let i = 0; i < numOfMatches; i++) {
+  const simulation = new Simulation(true, true, winningScore);
+  simulation.setPlayersPerSide(playersPerSide);
+  if (options.goalkeeper === 'on') {
+    simulation.physics.goalkeeperArea = DEFAULT_GOALKEEPER_AREA;
+  }
+  simulation.physics.field = FIELDS[options.field];
+  if (options.seed !== null) {
+    simulation.setSeed((Number(options.seed) + i) >>> 0);
+  }
+  simulation.setComputerDifficulty(options.difficulty1, options.difficulty2);
+  simulation.run(MAX_FRAMES_PER_MATCH);
+  totalFrames += simulation.frameCounter;
+  goals[0] += simulation.scores[0];
+  goals[1] += simulation.scores[1];
+  if (simulation.gameEnded) {
+    wins[simulation.scores[0] > simulation.scores[1] ? 0 : 1] += 1;
+  } else {
+    unfinishedMatches += 1;
+  }
+  console.log(
+    `match ${i + 1}: ${simulation.scores[0]} - ${simulation.scores[1]} ` +
+      `(${(simulation.frameCounter / FPS).toFixed(1)}s)`
+  );
+}
+const elapsedSeconds = (Date.now() - startTime) / 1000;
+
+console.log(
+  `player 1 (${options.difficulty1}) vs player 2 (${options.difficulty2})`
+);
+console.log(`wins: ${wins[0]} - ${wins[1]}, goals: ${goals[0]} - ${goals[1]}`);
+console.log(
+  `${totalFrames} frames in ${elapsedSeconds.toFixed(2)}s ` +
+    `(${Math.round(totalFrames / elapsedSeconds)} frames per second)`
+);
+if (unfinishedMatches > 0) {
+  console.error(`${unfinishedMatches} match(es) did not end`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,122 @@
+/**
+ * Tests of the snapshot of the match (see "snapshotMatch" of "src/js/pikavolley.js")
+ *
+ * run: npm test
+ */
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/browser.js';
+
+const { PikachuVolleyball } = await import('../src/js/pikavolley.js');
+
+/** @constant @type {number} frame limit for reaching the moment to take the snapshot */
+const MAX_FRAMES = 60000;
+/** @constant @type {number} number of frames played after the snapshot, which spans the end of a round */
+const FRAMES_AFTER_SNAPSHOT = 400;
+
+/**
+ * Create a game between computers, which starts a timed match decided by penalty shootout if level
+ * @param {number} seed
+ * @return {PikachuVolleyball}
+ */
+function createTimedMatch(seed) {
+  const game = new PikachuVolleyball({ addChild() {} }, {});
+  game.physics.player1.isComputer = true;
+  game.physics.player2.isComputer = true;
+  game.halfLengthFrames = 300;
+  game.tieBreaker = 'penalties';
+  game.fixedSeed = seed;
+  game.state = game.afterMenuSelection;
+  return game;
+}
+
+/**
+ * Run the game loop until the condition holds
+ * @param {PikachuVolleyball} game
+ * @param {function(PikachuVolleyball):boolean} condition
+ * @return {boolean} does the condition hold?
+ */
+function runUntil(game, condition) {
+  for (let i = 0; i < MAX_FRAMES; i++) {
+    if (condition(game)) {
+      return true;
+    }
+    game.gameLoop();
+  }
+  return false;
+}
+
+/**
+ * Take the snapshot of the match, and check that a fresh game restored from it plays the same frames as the game
+ * @param {PikachuVolleyball} game
+ */
+function assertRestoredGamePlaysSame(game) {
+  const snapshot = game.snapshotMatch();
+  // the state of the game loop, the replay recorded so far and the frames for the instant replay of a goal,
+  // which are not a part of the match
+  const loopState = {
+    state: game.state,
+    frameCounter: game.frameCounter,
+    slowMotionFramesLeft: game.slowMotionFramesLeft,
+    slowMotionNumOfSkippedFrames: game.slowMotionNumOfSkippedFrames,
+  };
+  const replay = structuredClone(game.replayRecorder.replay);
+  const goalReplayFrames = game.goalReplayBuffer.frames.slice();
+  const snapshotJSON = JSON.stringify(snapshot);
+  for (let i = 0; i < FRAMES_AFTER_SNAPSHOT; i++) {
+    game.gameLoop();
+  }
+  const expected = JSON.stringify(game.snapshotMatch());
+
+  const restoredGame = new PikachuVolleyball({ addChild() {} }, {});
+  restoredGame.restoreMatch(snapshot);
+  Object.assign(restoredGame, loopState);
+  restoredGame.replayRecorder.replay = replay;
+  restoredGame.goalReplayBuffer.frames = goalReplayFrames;
+  assert.equal(JSON.stringify(restoredGame.snapshotMatch()), snapshotJSON);
+  for (let i = 0; i < FRAMES_AFTER_SNAPSHOT; i++) {
+    restoredGame.gameLoop();
+  }
+  assert.equal(JSON.stringify(restoredGame.snapshotMatch()), expected);
+}
+
+test('the match restored from a snapshot in the second half plays the same', () => {
+  const game = createTimedMatch(3);
+  assert.ok(
+    runUntil(
+      game,
+      (game) =>
+        game.half === 2 &&
+        game.state === game.round &&
+        game.matchClockFrames === 30
+    )
+  );
+  assert.equal(game.isSideSwapped, true);
+  assertRestoredGamePlaysSame(game);
+});
+
+test('the match restored from a snapshot in the penalty shootout plays the same', () => {
+  // the first seed with which the match is level at the end of the second half
+  let seed = 0;
+  let game;
+  do {
+    seed++;
+    assert.ok(seed <= 50, 'no match goes to a penalty shootout');
+    game = createTimedMatch(seed);
+    assert.ok(
+      runUntil(game, (game) => game.penaltyKicks !== null || game.gameEnded)
+    );
+  } while (game.penaltyKicks === null);
+  assert.ok(
+    runUntil(
+      game,
+      (game) =>
+        game.penaltyShooterSide === 1 &&
+        game.penaltyKicks[1].length === 1 &&
+        game.state === game.penaltyKick &&
+        game.frameCounter === 10
+    )
+  );
+  assertRestoredGamePlaysSame(game);
+});
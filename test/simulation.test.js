@@ -0,0 +1,116 @@
+/**
+ * Tests of the physics through the headless simulation (see "src/js/simulation.js")
+ *
+ * run: npm test
+ */
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/js/simulation.js';
+import { DEFAULT_GOALKEEPER_AREA } from '../src/js/physics.js';
+
+/** @constant @type {number} frame limit for a match, to stop a match which never ends (30 minutes) */
+const MAX_FRAMES_PER_MATCH = 30 * 60 * 30;
+/** @constant @type {number} y coordinate of the ball lying on the ground */
+const BALL_ON_GROUND_Y = 368;
+
+/**
+ * Create a simulation of a match between computers, seeded
+ * @param {number} seed
+ * @param {number} [playersPerSide]
+ * @param {boolean} [hasGoalkeeper]
+ * @return {Simulation}
+ */
+function createComputerMatch(seed, playersPerSide = 1, hasGoalkeeper = false) {
+  const simulation = new Simulation(true, true, 15);
+  simulation.setPlayersPerSide(playersPerSide);
+  if (hasGoalkeeper) {
+    simulation.physics.goalkeeperArea = DEFAULT_GOALKEEPER_AREA;
+  }
+  simulation.setSeed(seed);
+  return simulation;
+}
+
+test('the matches with the same seed are the same', () => {
+  const results = [0, 1].map(() => {
+    const simulation = createComputerMatch(100, 2, true);
+    simulation.run(MAX_FRAMES_PER_MATCH);
+    return {
+      scores: simulation.scores,
+      frameCounter: simulation.frameCounter,
+      events: simulation.events,
+    };
+  });
+  assert.deepEqual(results[0], results[1]);
+});
+
+test('every seeded match ends', () => {
+  for (let seed = 100; seed < 110; seed++) {
+    const simulation = createComputerMatch(seed);
+    simulation.run(MAX_FRAMES_PER_MATCH);
+    assert.equal(simulation.gameEnded, true, `1 vs 1, seed ${seed}`);
+  }
+  for (let seed = 300; seed < 310; seed++) {
+    const simulation = createComputerMatch(seed, 2, true);
+    simulation.run(MAX_FRAMES_PER_MATCH);
+    assert.equal(simulation.gameEnded, true, `2 vs 2, seed ${seed}`);
+  }
+});
+
+test('the physics restored from a snapshot runs the same frames again', () => {
+  const simulation = createComputerMatch(7, 2, true);
+  simulation.run(600);
+  const snapshot = simulation.physics.snapshot();
+  const scores = simulation.scores.slice();
+  const yellowCards = simulation.referee.yellowCards.slice();
+
+  simulation.run(900);
+  const expected = JSON.stringify(simulation.physics.snapshot());
+  const expectedScores = simulation.scores.slice();
+
+  simulation.physics.restore(snapshot);
+  simulation.scores = scores;
+  simulation.referee.yellowCards = yellowCards;
+  simulation.run(900);
+  assert.equal(JSON.stringify(simulation.physics.snapshot()), expected);
+  assert.deepEqual(simulation.scores, expectedScores);
+});
+
+test('a chest trap drops the ball away from the player', () => {
+  const simulation = new Simulation(false, false);
+  for (let seed = 1; seed <= 5; seed++) {
+    for (const side of [-1, 1]) {
+      simulation.setSeed(seed);
+      const player = simulation.physics.player1;
+      const ball = simulation.physics.ball;
+      player.x = 200;
+      // the ball falls onto the chest of the player standing on the ground, almost right above the player
+      ball.x = player.x + 2 * side;
+      ball.y = player.y - 26;
+      ball.xVelocity = 0;
+      ball.yVelocity = 10;
+      simulation.step();
+      assert.equal(player.isCollisionWithBallHappened, true);
+      assert.equal(Math.sign(ball.xVelocity), side, `seed ${seed}`);
+      assert.ok(ball.yVelocity < 0, 'the ball goes up from the chest');
+    }
+  }
+});
+
+test('a ball left at rest under a player is touched again', () => {
+  const simulation = new Simulation(false, false);
+  simulation.setSeed(1);
+  const player = simulation.physics.player1;
+  const ball = simulation.physics.ball;
+  player.x = 200;
+  ball.x = player.x + 10;
+  ball.y = BALL_ON_GROUND_Y;
+  ball.xVelocity = 0;
+  ball.yVelocity = 0;
+  // the player has been touching the ball since it stopped, so it is not a new touch
+  player.isCollisionWithBallHappened = true;
+  simulation.step();
+  assert.equal(player.isDribbling, true);
+  simulation.run(10, () => [{ xDirection: 1 }]);
+  assert.ok(ball.x > 220, 'the ball is dribbled forward');
+});
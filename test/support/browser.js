@@ -0,0 +1,15 @@
+/**
+ * Stand-ins for the browser, so that the controller (see "src/js/pikavolley.js") can be loaded in Node
+ *
+ * The view and the audio, which need PIXI, are replaced by objects which do nothing (see "browser_hooks.js"),
+ * and the keyboards and the gamepads listen to a window which never fires any event.
+ * Import this module before importing the controller dynamically, since the hooks apply only to the modules loaded after it.
+ */
+'use strict';
+import { register } from 'node:module';
+
+register('./browser_hooks.js', import.meta.url);
+
+if (typeof globalThis.window === 'undefined') {
+  globalThis.window = new EventTarget();
+}
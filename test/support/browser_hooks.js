@@ -0,0 +1,48 @@
+/**
+ * Module hooks which replace "view.js" and "audio.js" with the modules doing nothing (see "browser.js")
+ */
+'use strict';
+
+/** @constant @type {Object.<string, string>} source of the module replacing each module, by the file name */
+const STUBS = {
+  'view.js': `
+    // Every method does nothing, and the properties set on it are kept.
+    function createView() {
+      return new Proxy(
+        { container: {}, black: {}, scoreBoards: [{}, {}] },
+        { get: (target, prop) => (prop in target ? target[prop] : () => {}) }
+      );
+    }
+    export class IntroView { constructor() { return createView(); } }
+    export class MenuView { constructor() { return createView(); } }
+    export class GameView { constructor() { return createView(); } }
+    export class FadeInOut { constructor() { return createView(); } }
+  `,
+  'audio.js': `
+    const sound = { play() {}, stop() {} };
+    export class PikaAudio {
+      constructor() {
+        this.sounds = new Proxy({}, { get: () => sound });
+      }
+    }
+  `,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  const fileName = specifier.replace(/^\.\//, '');
+  if (specifier.startsWith('./') && fileName in STUBS) {
+    return { url: `stub:${fileName}`, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('stub:')) {
+    return {
+      format: 'module',
+      source: STUBS[url.slice('stub:'.length)],
+      shortCircuit: true,
+    };
+  }
+  return nextLoad(url, context);
+}